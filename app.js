@@ -1,54 +1,143 @@
 /**
  * Nassau Shift - RNBO Web Audio Interface
  * Tropical Noir Edition
+ *
+ * The UI for a NassauEngine (nassau-engine.js). It looks its elements up inside
+ * options.container, and takes the engine's options (patcherUrl, manifestUrl, bufferFiles, ...)
+ * alongside, plus baseUrl, params ("LPF_Cutoff=1200&Rev_Mix=30"), hashState and
+ * serviceWorker. load(), play(), stop(), setParam(), getState(), setState() and on()
+ * go to the engine; the UI follows through the engine's events.
  */
 
 class NassauShift {
-  constructor() {
-    this.audioContext = null;
-    this.device = null;
-    this.isPlaying = false;
+  constructor(options = {}) {
+    this.container = options.container || document.body;
+
+    // Embedding - recorder-worklet.js is loaded relative to baseUrl; hash sync and the
+    // service worker are for the standalone page
+    this.baseUrl = options.baseUrl || document.baseURI;
+    this.useHashState = options.hashState !== false;
+    this.useServiceWorker = options.serviceWorker !== false;
+    this.initialParams = options.params || null;
+
+    // Temporal Shift transition and LFO settings persist in localStorage
+    this.transitionStorageKey = 'nassauShift.transition';
+    this.modulatorStorageKey = 'nassauShift.modulators';
+    // The engine picked from the patcher manifest persists too
+    this.patcherStorageKey = 'nassauShift.patcher';
+    this.engine = new NassauEngine({
+      ...options,
+      patcherId: options.patcherId || this.loadPatcherChoice(),
+      // Every knob needs its parameter, and the gain reduction meter both outports
+      requires: {
+        parameters: [...this.container.querySelectorAll('.knob[data-param]')].map(k => k.dataset.param),
+        outports: ['atten', 'compens'],
+      },
+      transition: { ...this.loadTransitionSettings(), ...(options.transition || {}) },
+      modulators: options.modulators || this.loadModulatorSettings(),
+      // A TimeStretch automation lane being played back wins over auto-drift
+      canDrift: () => {
+        const lane = this.automation.lanes.TimeStretch;
+        return !(this.automationRead && lane && lane.length);
+      },
+    });
+
     this.analyser = null;
     this.dataArray = null;
 
-    // Parameter mappings
-    this.parameterMap = {
-      'LPF_Cutoff': { index: 0, min: 0, max: 4000, format: v => `${Math.round(v)} Hz` },
-      'HPF_Cutoff': { index: 1, min: 0, max: 2000, format: v => `${Math.round(v)} Hz` },
-      'HPF_Res': { index: 2, min: 0, max: 1, format: v => `${Math.round(v * 100)}%` },
-      'Room_Size': { index: 3, min: 0, max: 100, format: v => `${Math.round(v)}%` },
-      'LPF_Res': { index: 4, min: 0, max: 1, format: v => `${Math.round(v * 100)}%` },
-      'Rev_Mix': { index: 5, min: 0, max: 100, format: v => `${Math.round(v)}%` },
-      'Rev_Damp': { index: 6, min: 0, max: 100, format: v => `${Math.round(v)}%` },
-      'On_Off': { index: 7, min: 0, max: 1, format: v => v > 0.5 ? 'On' : 'Off' },
-      'TimeStretch': { index: 8, min: 1, max: 6, format: v => `${Math.round(v)}×` },
-      'Rev_Decay': { index: 9, min: 0, max: 100, format: v => `${Math.round(v)}%` },
-      'Rev_Jitter': { index: 10, min: 0, max: 100, format: v => `${Math.round(v)}%` },
+    // Visualizer - mode and per-mode FFT size/smoothing persist in localStorage.
+    // Gradients, palette and the spectrogram's offscreen canvas are rebuilt only on resize.
+    this.visualizerStorageKey = 'nassauShift.visualizer';
+    this.visualizer = this.loadVisualizerSettings();
+    this.vizFrame = null;
+    this.vizAnalysers = [];
+    this.vizBuffers = {};
+    this.barGradient = null;
+    this.spectrogramCanvas = null;
+    this.spectrogramColumn = null;
+    this.spectrogramRows = null;
+    this.spectrogramRowsBins = 0;
+    this.spectrogramPalette = null;
+
+    // Per-channel metering (see setupMetering)
+    this.meterAnalysers = [];
+    this.loudnessAnalysers = [];
+    this.meterBuffer = null;
+    this.meterState = null;
+    this.gainReduction = { atten: 0, compens: 0 };
+
+    // Set while one dropped file is rendered into every slot
+    this.isStretching = false;
+    this.stretchGrainSize = 4096;
+
+    // Render state
+    this.recorderNode = null;
+    this.isRecording = false;
+    this.isRendering = false;
+    this.recordedChunks = [];
+    this.recordTimer = null;
+
+    // MIDI - mappings persist in localStorage, pickup state is per session
+    this.midiStorageKey = 'nassauShift.midiMappings';
+    this.midiAccess = null;
+    this.midiMappings = this.loadMidiMappings();
+    this.midiLearnMode = false;
+    this.midiLearnTarget = null;
+    this.midiPickup = new Map();
+
+    // Automation - lanes of { time, value } points keyed by parameter name,
+    // times in seconds from the start of playback
+    this.automation = { lanes: {} };
+    this.automationArmed = false;
+    this.automationRead = true;
+    this.automationLoop = false;
+    this.automationTimer = null;
+    this.automationTickMs = 20;
+    this.automationScheduledTo = 0;
+    this.automationTouched = new Set();
+    this.automationHeld = null;
+    this.automationLastSent = {};
+    this.playbackStartTime = 0;
+    this.isApplyingAutomation = false;
+
+    // Presets - factory presets come from the RNBO export, user presets from localStorage
+    this.presetStorageKey = 'nassauShift.presets';
+    this.factoryPresets = [];
+    this.userPresets = [];
+
+    // Macros - one control moving several parameters, each target with its own range,
+    // curve and inversion. Kept in localStorage and saved with presets.
+    this.macroStorageKey = 'nassauShift.macros';
+    this.macroCurves = {
+      'linear': 'Linear',
+      'exponential': 'Exponential',
+      'logarithmic': 'Logarithmic',
+      's-curve': 'S-curve',
     };
-
-    // Detect mobile devices
-    this.isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-
-    // Buffer file mappings
-    // On mobile, only load smaller files to avoid memory crashes
-    if (this.isMobile) {
-      this.bufferFiles = {
-        'b_NassauMusic_1B_mp3': 'media/NassauMusic_1B.mp3',
-        'b_NassauMusic_2B_mp3': 'media/NassauMusic_2B.mp3',
-        'b_NassauMusic_4B_mp3': 'media/NassauMusic_4B.mp3',
-        // Skip larger files on mobile to prevent memory crashes
-      };
-    } else {
-      this.bufferFiles = {
-        'b_NassauMusic_1B_mp3': 'media/NassauMusic_1B.mp3',
-        'b_NassauMusic_2B_mp3': 'media/NassauMusic_2B.mp3',
-        'b_NassauMusic_4B_mp3': 'media/NassauMusic_4B.mp3',
-        'b_NassauMusic_8B_mp3': 'media/NassauMusic_8B.mp3',
-        'b_NassauMusic_16B_mp3': 'media/NassauMusic_16B.mp3',
-      };
-    }
-
-    this.isLoaded = false;
+    this.macros = [];
+    this.macroEditing = null;
+
+    // Undo history - each step is the state before an edit. A drag is one step from
+    // press to release; keys, wheel, MIDI and macros group until edits pause.
+    this.undoStack = [];
+    this.redoStack = [];
+    this.historyLimit = 100;
+    this.historyBefore = null;
+    this.historyHeld = false;
+    this.historyTimer = null;
+    this.historyIdleMs = 500;
+
+    // A/B compare - two snapshots, the one not showing is kept as it was left
+    this.abSlots = { A: null, B: null };
+    this.abActive = 'A';
+
+    // URL hash sync - enabled once the initial hash has been restored
+    this.hashSyncEnabled = false;
+    this.hashUpdateTimer = null;
+
+    // Every document and window listener goes through this signal, so destroy() can
+    // take them all off together
+    this.listenerController = new AbortController();
 
     this.knobs = new Map();
     this.activeKnob = null;
@@ -62,70 +151,283 @@ class NassauShift {
     this.setupUI();
     this.setupKnobs();
     this.setupTemporalShift();
+    this.setupTransitions();
     this.setupPowerButton();
+    this.setupKeyboardShortcuts();
+    this.setupPresets();
+    this.setupHistory();
+    this.setupRender();
+    this.setupAutomation();
+    this.setupMacros();
+    this.setupModulation();
+    this.setupTimeline();
+    this.setupSources();
+    this.setupPatcherChoice();
+    this.setupMidi();
+    this.setupEngineEvents();
+    if (this.useServiceWorker) this.registerServiceWorker();
+
+    // Parameter ranges come from the export, so read it before restoring shared state
+    await this.loadPatcherDescription();
+    this.userPresets = this.loadUserPresets();
+    this.refreshPresetList();
+    this.renderAutomationLanes();
+    this.macros = this.loadStoredMacros();
+    this.renderMacros();
+    this.renderModulators();
+    this.renderBufferSlots();
+    this.setupHashState();
+
+    // Initial values given by the embedding page, in the URL hash format
+    if (this.initialParams) this.applyState(this.parseHashState(this.initialParams));
+  }
+
+  // ============================================
+  // Parameter model
+  // ============================================
+
+  async loadPatcherDescription() {
+    try {
+      const patcher = await this.engine.loadDescription();
+      this.setIncompatible(false);
+      this.loadFactoryPresets(patcher.presets);
+    } catch (error) {
+      console.error('Could not read engine description:', error);
+      // An export missing what the controls drive isn't loaded at all
+      if (error.problems) this.setIncompatible(true, error.message);
+      // Keep the UI usable with the ranges declared on the knobs until the device loads
+      if (!Object.keys(this.engine.parameterMap).length) {
+        this.engine.buildParameterModel(this.describeKnobParameters());
+      }
+    }
+    this.renderPatcherList();
+  }
+
+  // The controls are greyed out and Load is disabled until a usable export is chosen
+  setIncompatible(incompatible, message) {
+    this.container.classList.toggle('incompatible', incompatible);
+    this.loadBtn.disabled = incompatible;
+    if (incompatible) this.statusText.textContent = 'Error: ' + message;
+  }
+
+  // Engine choice - only shown when the manifest offers more than one export
+  setupPatcherChoice() {
+    this.patcherSelect = this.getElement('patcherSelect');
+    if (!this.patcherSelect) return;
+    this.patcherSelect.addEventListener('change', () => this.selectPatcher(this.patcherSelect.value));
+  }
+
+  renderPatcherList() {
+    if (!this.patcherSelect) return;
+    const patchers = this.engine.manifest ? this.engine.manifest.patchers : [];
+
+    this.patcherSelect.innerHTML = '';
+    patchers.forEach((entry) => {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      option.textContent = entry.name;
+      this.patcherSelect.appendChild(option);
+    });
+    this.patcherSelect.value = this.engine.patcherId || '';
+    this.patcherSelect.hidden = patchers.length < 2;
+  }
+
+  async selectPatcher(id) {
+    this.storePatcherChoice(id);
+
+    // The device can't be swapped - the choice applies from the next visit
+    if (this.engine.device || this.engine.loadPromise) {
+      const entry = this.engine.getPatcherEntry(id);
+      this.statusText.textContent = `${entry ? entry.name : id} will be used after a reload`;
+      return;
+    }
+
+    this.statusText.textContent = 'Reading engine...';
+    try {
+      const patcher = await this.engine.selectPatcher(id);
+      this.setIncompatible(false);
+      this.loadFactoryPresets(patcher.presets);
+      this.statusText.textContent = 'Ready to load';
+    } catch (error) {
+      console.error('Could not switch engine:', error);
+      if (error.problems) {
+        this.setIncompatible(true, error.message);
+      } else {
+        this.statusText.textContent = 'Error: ' + error.message;
+      }
+    }
+  }
+
+  loadPatcherChoice() {
+    try {
+      return localStorage.getItem(this.patcherStorageKey);
+    } catch (error) {
+      console.warn('Could not read engine choice:', error);
+      return null;
+    }
+  }
+
+  storePatcherChoice(id) {
+    try {
+      localStorage.setItem(this.patcherStorageKey, id);
+    } catch (error) {
+      console.warn('Could not store engine choice:', error);
+    }
+  }
+
+  // Fallback descriptions taken from the knob markup when the export can't be read
+  describeKnobParameters() {
+    return [...this.knobs.values()].map(k => ({ name: k.param, min: k.min, max: k.max, initialValue: k.value }));
+  }
+
+  // Report knobs whose markup disagrees with the engine, then adopt the engine's range
+  reconcileKnobs() {
+    const problems = [];
+
+    for (const [knobId, knobData] of this.knobs) {
+      const paramInfo = this.engine.parameterMap[knobData.param];
+
+      if (!paramInfo) {
+        problems.push({ knob: knobId, param: knobData.param, issue: 'not an engine parameter' });
+        continue;
+      }
+
+      knobData.exponent = paramInfo.exponent || 1;
+
+      if (knobData.min !== paramInfo.min || knobData.max !== paramInfo.max) {
+        problems.push({
+          knob: knobId,
+          param: knobData.param,
+          issue: `data-min/max ${knobData.min}..${knobData.max} vs engine ${paramInfo.min}..${paramInfo.max}`,
+        });
+        knobData.min = paramInfo.min;
+        knobData.max = paramInfo.max;
+        knobData.value = Math.max(paramInfo.min, Math.min(paramInfo.max, knobData.value));
+        knobData.normalized = this.knobValueToNormalized(knobData, knobData.value);
+        this.updateKnobVisual(knobId);
+      }
+    }
+
+    if (problems.length) {
+      console.warn(`${problems.length} knob(s) disagree with the engine parameters:`);
+      console.table(problems);
+      this.statusText.textContent = `Warning: ${problems.length} knob(s) differ from engine - see console`;
+    }
+
+    this.parameterWarnings = problems;
+  }
+
+  // The slider covers the part of the engine's TimeStretch range this device can hold
+  configureTimeStretchSteps() {
+    const paramInfo = this.engine.parameterMap.TimeStretch;
+    if (!paramInfo || !this.sliderValue) return;
+
+    const currentStretch = this.getParameter('TimeStretch');
+    this.sliderMaxSteps = this.engine.getAvailableStretch() - paramInfo.min;
+    this.sliderLabels = [];
+    for (let i = 0; i <= this.sliderMaxSteps; i++) {
+      this.sliderLabels.push(paramInfo.format(paramInfo.min + i));
+    }
+
+    const labelsContainer = this.container.querySelector('.slider-labels');
+    if (labelsContainer) {
+      labelsContainer.innerHTML = this.sliderLabels.map(label => `<span>${label}</span>`).join('');
+    }
+
+    // Keep the selected factor when the number of steps changes, or fall back to the highest left
+    this.setTemporalShift(this.stretchToNormalized(Math.min(currentStretch, this.sliderMaxSteps + 1)));
+  }
+
+  // TimeStretch value (1 = 1×) to slider position
+  stretchToNormalized(value) {
+    return this.sliderMaxSteps > 0 ? (value - 1) / this.sliderMaxSteps : 0;
+  }
+
+  // The engine holds every parameter's value; knobs and slider follow its paramchange events
+  getParameter(name) {
+    return this.engine.getParam(name);
+  }
+
+  setParameter(name, value) {
+    this.engine.setParam(name, value);
   }
 
   setupUI() {
     // Cache DOM elements
-    this.loadBtn = document.getElementById('loadBtn');
-    this.powerBtn = document.getElementById('powerBtn');
-    this.statusDot = document.getElementById('statusDot');
-    this.statusText = document.getElementById('statusText');
-    this.canvas = document.getElementById('waveform');
+    this.loadBtn = this.getElement('loadBtn');
+    this.powerBtn = this.getElement('powerBtn');
+    this.statusDot = this.getElement('statusDot');
+    this.statusText = this.getElement('statusText');
+    this.canvas = this.getElement('waveform');
     this.canvasCtx = this.canvas.getContext('2d');
-    this.meterL = document.getElementById('meterL');
-    this.meterR = document.getElementById('meterR');
-    this.progressContainer = document.getElementById('progressContainer');
-    this.progressBar = document.getElementById('progressBar');
-    this.progressText = document.getElementById('progressText');
-
-    // Set canvas size
-    this.resizeCanvas();
-    window.addEventListener('resize', () => this.resizeCanvas());
-  }
-
-  // Fetch with progress tracking
-  fetchWithProgress(url, onProgress) {
-    return new Promise((resolve, reject) => {
-      const xhr = new XMLHttpRequest();
-      xhr.open('GET', url, true);
-      xhr.responseType = 'arraybuffer';
-
-      xhr.onprogress = (event) => {
-        if (event.lengthComputable) {
-          const percent = (event.loaded / event.total) * 100;
-          const loadedMB = (event.loaded / (1024 * 1024)).toFixed(1);
-          const totalMB = (event.total / (1024 * 1024)).toFixed(1);
-          onProgress(percent, loadedMB, totalMB);
+    this.meterL = this.getElement('meterL');
+    this.meterR = this.getElement('meterR');
+    this.readPeak = this.getElement('readPeak');
+    this.readRms = this.getElement('readRms');
+    this.readLufs = this.getElement('readLufs');
+    this.readGr = this.getElement('readGr');
+    this.grFill = this.getElement('grFill');
+    this.clipIndicator = this.getElement('clipIndicator');
+
+    // The clip light latches until clicked
+    if (this.clipIndicator) {
+      this.clipIndicator.addEventListener('click', () => this.resetClip());
+    }
+    this.progressContainer = this.getElement('progressContainer');
+    this.progressBar = this.getElement('progressBar');
+    this.progressText = this.getElement('progressText');
+    this.loadStatusEl = this.getElement('loadStatus');
+    this.bufferStatusEl = this.getElement('bufferStatus');
+    this.loadCancelBtn = this.getElement('loadCancel');
+    if (this.loadCancelBtn) {
+      this.loadCancelBtn.addEventListener('click', () => {
+        if (this.engine.hasActiveLoads()) {
+          this.engine.cancelLoading();
+          this.statusText.textContent = 'Loading cancelled';
         } else {
-          // If length not computable, show bytes loaded
-          const loadedMB = (event.loaded / (1024 * 1024)).toFixed(1);
-          onProgress(-1, loadedMB, '?');
+          this.loadStatusEl.classList.remove('visible');
         }
-      };
+      });
+    }
 
-      xhr.onload = () => {
-        if (xhr.status === 200) {
-          resolve(xhr.response);
-        } else {
-          reject(new Error(`HTTP ${xhr.status}`));
-        }
-      };
+    // Set canvas size
+    this.resizeCanvas();
+    window.addEventListener('resize', () => this.resizeCanvas(), { signal: this.listenerController.signal });
+    this.watchPixelRatio();
+    this.setupVisualizer();
+  }
 
-      xhr.onerror = () => reject(new Error('Network error'));
-      xhr.send();
-    });
+  // Elements are looked up inside the container, so the markup can sit anywhere on a page
+  getElement(id) {
+    return this.container.querySelector(`#${id}`);
   }
 
+  // setTransform rather than scale - scale would compound with every resize
   resizeCanvas() {
     const rect = this.canvas.parentElement.getBoundingClientRect();
-    this.canvas.width = rect.width * window.devicePixelRatio;
-    this.canvas.height = rect.height * window.devicePixelRatio;
-    this.canvasCtx.scale(window.devicePixelRatio, window.devicePixelRatio);
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas.width = rect.width * dpr;
+    this.canvas.height = rect.height * dpr;
+    this.canvasCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    this.barGradient = null;
+    this.resizeSpectrogram();
+  }
+
+  // Moving the window to another screen or zooming changes devicePixelRatio,
+  // which doesn't always fire resize
+  watchPixelRatio() {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    const onChange = () => {
+      this.resizeCanvas();
+      this.watchPixelRatio();
+    };
+    if (query.addEventListener) query.addEventListener('change', onChange, { once: true, signal: this.listenerController.signal });
   }
 
   setupKnobs() {
-    const knobElements = document.querySelectorAll('.knob');
+    const knobElements = this.container.querySelectorAll('.knob');
 
     knobElements.forEach(knob => {
       const param = knob.dataset.param;
@@ -134,14 +436,29 @@ class NassauShift {
       const value = parseFloat(knob.dataset.value);
 
       // Store knob data
-      this.knobs.set(knob.id, {
+      const knobData = {
         element: knob,
         param,
         min,
         max,
         value,
-        normalized: (value - min) / (max - min)
-      });
+        defaultValue: value,
+        taper: (this.engine.parameterDisplay[param] && this.engine.parameterDisplay[param].taper) || 0,
+        exponent: (this.engine.parameterMap[param] && this.engine.parameterMap[param].exponent) || 1,
+      };
+      knobData.normalized = this.knobValueToNormalized(knobData, value);
+      this.knobs.set(knob.id, knobData);
+
+      // Modulation ring - the arc from the base value to the modulated one
+      knobData.modRing = document.createElement('div');
+      knobData.modRing.className = 'knob-mod';
+      knob.appendChild(knobData.modRing);
+
+      // Expose the knob as a focusable slider
+      const label = knob.parentElement.querySelector('.knob-label');
+      knob.setAttribute('role', 'slider');
+      knob.setAttribute('tabindex', '0');
+      knob.setAttribute('aria-label', label ? label.textContent : this.engine.parameterDisplay[param].label);
 
       // Set initial rotation
       this.updateKnobVisual(knob.id);
@@ -149,24 +466,116 @@ class NassauShift {
       // Event listeners
       knob.addEventListener('mousedown', e => this.onKnobStart(e, knob.id));
       knob.addEventListener('touchstart', e => this.onKnobStart(e, knob.id), { passive: false });
+      knob.addEventListener('keydown', e => this.onKnobKeyDown(e, knob.id));
+      knob.addEventListener('wheel', e => this.onKnobWheel(e, knob.id), { passive: false });
+      knob.addEventListener('dblclick', () => this.resetKnob(knob.id));
+
+      this.setupValueEntry(knob.id);
     });
 
     // Global mouse/touch move and end
-    document.addEventListener('mousemove', e => this.onKnobMove(e));
-    document.addEventListener('mouseup', () => this.onKnobEnd());
-    document.addEventListener('touchmove', e => this.onKnobMove(e), { passive: false });
-    document.addEventListener('touchend', () => this.onKnobEnd());
+    const { signal } = this.listenerController;
+    document.addEventListener('mousemove', e => this.onKnobMove(e), { signal });
+    document.addEventListener('mouseup', () => this.onKnobEnd(), { signal });
+    document.addEventListener('touchmove', e => this.onKnobMove(e), { passive: false, signal });
+    document.addEventListener('touchend', () => this.onKnobEnd(), { signal });
+  }
+
+  // Arrows step 1% (Shift for 0.1%), PageUp/PageDown 10%, Home/End jump to the ends,
+  // Delete/Backspace restores the knob's default
+  onKnobKeyDown(e, knobId) {
+    const knobData = this.knobs.get(knobId);
+    const step = e.shiftKey ? 0.001 : 0.01;
+    let normalized = knobData.normalized;
+
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'ArrowRight':
+        normalized += step;
+        break;
+      case 'ArrowDown':
+      case 'ArrowLeft':
+        normalized -= step;
+        break;
+      case 'PageUp':
+        normalized += 0.1;
+        break;
+      case 'PageDown':
+        normalized -= 0.1;
+        break;
+      case 'Home':
+        normalized = 0;
+        break;
+      case 'End':
+        normalized = 1;
+        break;
+      case 'Delete':
+      case 'Backspace':
+        this.resetKnob(knobId);
+        e.preventDefault();
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.setKnobNormalized(knobId, normalized);
+  }
+
+  resetKnob(knobId) {
+    const knobData = this.knobs.get(knobId);
+    this.setKnobNormalized(knobId, this.knobValueToNormalized(knobData, knobData.defaultValue));
+  }
+
+  // Knob travel (0-1) to parameter value, through the knob's taper - or, without one,
+  // the export's exponent the way RNBO applies it (value = min + range * normalized^exponent)
+  knobNormalizedToValue(knobData, normalized) {
+    const range = knobData.max - knobData.min;
+    if (!knobData.taper) return knobData.min + Math.pow(Math.max(0, normalized), knobData.exponent || 1) * range;
+    const curve = knobData.taper;
+    return knobData.min + range * (Math.exp(curve * normalized) - 1) / (Math.exp(curve) - 1);
+  }
+
+  knobValueToNormalized(knobData, value) {
+    const fraction = (value - knobData.min) / (knobData.max - knobData.min);
+    if (!knobData.taper) return Math.pow(Math.max(0, fraction), 1 / (knobData.exponent || 1));
+    const curve = knobData.taper;
+    return Math.log(1 + Math.max(0, fraction) * (Math.exp(curve) - 1)) / curve;
+  }
+
+  // Wheel and trackpad - pixel deltas are small and frequent, line deltas coarse
+  onKnobWheel(e, knobId) {
+    e.preventDefault();
+    const knobData = this.knobs.get(knobId);
+    const delta = -(e.deltaY || e.deltaX);
+    let step = e.deltaMode === 1 ? delta * 0.02 : delta * 0.001;
+    if (e.shiftKey || e.altKey) step *= 0.1;
+    this.setKnobNormalized(knobId, knobData.normalized + step);
   }
 
   onKnobStart(e, knobId) {
     e.preventDefault();
+
+    // In MIDI learn mode a click picks the knob as the learn target instead of dragging
+    if (this.midiLearnMode) {
+      this.setMidiLearnTarget(knobId);
+      return;
+    }
+
     this.activeKnob = knobId;
     const knobData = this.knobs.get(knobId);
     knobData.element.classList.add('active');
+    this.holdHistoryStep();
 
     const clientY = e.touches ? e.touches[0].clientY : e.clientY;
     this.startY = clientY;
     this.startValue = knobData.normalized;
+    this.dragFine = this.isFineModifier(e);
+  }
+
+  // Shift (or Alt/Ctrl/Cmd) slows the drag down tenfold
+  isFineModifier(e) {
+    return !!(e.shiftKey || e.altKey || e.ctrlKey || e.metaKey);
   }
 
   onKnobMove(e) {
@@ -174,18 +583,35 @@ class NassauShift {
     e.preventDefault();
 
     const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+    const fine = this.isFineModifier(e);
+
+    // Re-anchor when the modifier changes mid-drag so the knob doesn't jump
+    if (fine !== this.dragFine) {
+      this.dragFine = fine;
+      this.startY = clientY;
+      this.startValue = this.knobs.get(this.activeKnob).normalized;
+    }
+
     const deltaY = this.startY - clientY;
-    const sensitivity = 0.005;
+    const sensitivity = fine ? 0.0005 : 0.005;
+
+    this.setKnobNormalized(this.activeKnob, this.startValue + (deltaY * sensitivity));
+  }
 
-    const knobData = this.knobs.get(this.activeKnob);
-    let newNormalized = this.startValue + (deltaY * sensitivity);
-    newNormalized = Math.max(0, Math.min(1, newNormalized));
+  // User-driven knob change (drag or controller) - updates the knob, the device,
+  // any armed automation lane and the URL hash
+  setKnobNormalized(knobId, normalized) {
+    const knobData = this.knobs.get(knobId);
+    normalized = Math.max(0, Math.min(1, normalized));
 
-    knobData.normalized = newNormalized;
-    knobData.value = knobData.min + (newNormalized * (knobData.max - knobData.min));
+    knobData.normalized = normalized;
+    knobData.value = this.knobNormalizedToValue(knobData, normalized);
 
-    this.updateKnobVisual(this.activeKnob);
+    this.markHistory();
+    this.updateKnobVisual(knobId);
     this.setParameter(knobData.param, knobData.value);
+    this.recordAutomation(knobData.param, knobData.value);
+    this.scheduleHashUpdate();
   }
 
   onKnobEnd() {
@@ -193,9 +619,88 @@ class NassauShift {
       const knobData = this.knobs.get(this.activeKnob);
       knobData.element.classList.remove('active');
       this.activeKnob = null;
+      this.automationHeld = null;
+      this.releaseHistoryStep();
     }
   }
 
+  // Click (or Enter) on a val-* readout turns it into a text field
+  setupValueEntry(knobId) {
+    const valueEl = this.getElement(`val-${knobId.replace('knob-', '')}`);
+    if (!valueEl) return;
+
+    valueEl.setAttribute('tabindex', '0');
+    valueEl.setAttribute('role', 'button');
+    valueEl.setAttribute('aria-label', `Type a value for ${this.knobs.get(knobId).element.getAttribute('aria-label')}`);
+    valueEl.classList.add('editable');
+
+    valueEl.addEventListener('click', () => this.startValueEntry(knobId, valueEl));
+    valueEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.startValueEntry(knobId, valueEl);
+      }
+    });
+  }
+
+  startValueEntry(knobId, valueEl) {
+    if (valueEl.querySelector('input')) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'knob-value-input';
+    input.value = valueEl.textContent;
+    valueEl.textContent = '';
+    valueEl.appendChild(input);
+    input.focus();
+    input.select();
+
+    // Focus only returns to the value on Enter/Escape; a blur leaves it wherever it went
+    let done = false;
+    const finish = (commit, refocus) => {
+      if (done) return;
+      done = true;
+
+      const value = commit ? this.parseValueInput(input.value, this.knobs.get(knobId)) : null;
+      input.remove();
+
+      if (value !== null) {
+        this.setKnobNormalized(knobId, this.knobValueToNormalized(this.knobs.get(knobId), value));
+      } else {
+        this.updateKnobVisual(knobId);
+        if (commit) {
+          valueEl.classList.add('invalid');
+          setTimeout(() => valueEl.classList.remove('invalid'), 600);
+        }
+      }
+      if (refocus) valueEl.focus();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') finish(true, true);
+      if (e.key === 'Escape') finish(false, true);
+    });
+    input.addEventListener('blur', () => finish(true, false));
+  }
+
+  // Parses typed values like "1.2k Hz", "800hz", "35%" or "0.4". Parameters shown as a
+  // percentage of a 0-1 range ("35%") read bare numbers as percent too. Returns null if unparseable.
+  parseValueInput(text, knobData) {
+    const match = /^\s*([-+]?\d*\.?\d+)\s*(k)?\s*(hz|%)?\s*$/i.exec(text);
+    if (!match) return null;
+
+    let value = parseFloat(match[1]);
+    if (match[2]) value *= 1000;
+
+    const paramInfo = this.engine.parameterMap[knobData.param] || this.engine.parameterDisplay[knobData.param];
+    const shownAsPercent = paramInfo && paramInfo.format(knobData.max).endsWith('%');
+    if (shownAsPercent && knobData.max <= 1) value /= 100;
+
+    if (!isFinite(value)) return null;
+    return Math.max(knobData.min, Math.min(knobData.max, value));
+  }
+
   updateKnobVisual(knobId) {
     const knobData = this.knobs.get(knobId);
     const rotation = -135 + (knobData.normalized * 270);
@@ -206,52 +711,32 @@ class NassauShift {
     knobFill.style.setProperty('--rotation', knobData.normalized * 270);
 
     // Update value display
-    const valueEl = document.getElementById(`val-${knobId.replace('knob-', '')}`);
-    if (valueEl && this.parameterMap[knobData.param]) {
-      valueEl.textContent = this.parameterMap[knobData.param].format(knobData.value);
+    const valueEl = this.getElement(`val-${knobId.replace('knob-', '')}`);
+    const paramInfo = this.engine.parameterMap[knobData.param] || this.engine.parameterDisplay[knobData.param];
+    if (valueEl && paramInfo) {
+      valueEl.textContent = paramInfo.format(knobData.value);
     }
+
+    // Keep the slider semantics in step with the visual
+    const element = knobData.element;
+    element.setAttribute('aria-valuemin', knobData.min);
+    element.setAttribute('aria-valuemax', knobData.max);
+    element.setAttribute('aria-valuenow', parseFloat(knobData.value.toFixed(3)));
+    if (paramInfo) element.setAttribute('aria-valuetext', paramInfo.format(knobData.value));
   }
 
   setupTemporalShift() {
-    this.sliderTrack = document.getElementById('sliderTrack');
-    this.sliderFill = document.getElementById('sliderFill');
-    this.sliderThumb = document.getElementById('sliderThumb');
-    this.sliderValue = document.getElementById('sliderValue');
+    this.sliderTrack = this.getElement('sliderTrack');
+    this.sliderFill = this.getElement('sliderFill');
+    this.sliderThumb = this.getElement('sliderThumb');
+    this.sliderValue = this.getElement('sliderValue');
 
     this.temporalShiftValue = 0; // 0-1 normalized
     this.isDraggingSlider = false;
 
-    // On mobile, only 3 time options available (1x, 2x, 4x)
-    const barLabels = this.isMobile ? ['1×', '2×', '4×'] : ['1×', '2×', '4×', '8×', '16×'];
-    const maxSteps = this.isMobile ? 2 : 4; // 0-2 for mobile (3 options), 0-4 for desktop (5 options)
-
-    // Update slider labels in HTML for mobile
-    if (this.isMobile) {
-      const labelsContainer = document.querySelector('.slider-labels');
-      if (labelsContainer) {
-        labelsContainer.innerHTML = barLabels.map(label => `<span>${label}</span>`).join('');
-      }
-    }
-
-    const updateSlider = (normalizedValue) => {
-      // Clamp to 0-1
-      normalizedValue = Math.max(0, Math.min(1, normalizedValue));
-      this.temporalShiftValue = normalizedValue;
-
-      // Update visuals (continuous)
-      const percent = normalizedValue * 100;
-      this.sliderFill.style.width = `${percent}%`;
-      this.sliderThumb.style.left = `${percent}%`;
-
-      // Calculate which integer value this maps to
-      const intValue = Math.round(normalizedValue * maxSteps) + 1;
-
-      // Update display label
-      this.sliderValue.textContent = barLabels[intValue - 1];
-
-      // Set RNBO parameter (only responds to integers 1-5)
-      this.setParameter('TimeStretch', intValue);
-    };
+    // All five factors until configureTimeStretchSteps knows what this device can hold
+    this.sliderLabels = ['1×', '2×', '4×', '8×', '16×'];
+    this.sliderMaxSteps = 4;
 
     // Mouse/touch event handlers
     const getPositionFromEvent = (e) => {
@@ -262,18 +747,29 @@ class NassauShift {
 
     const onStart = (e) => {
       e.preventDefault();
+      if (this.midiLearnMode) {
+        this.setMidiLearnTarget('slider');
+        return;
+      }
       this.isDraggingSlider = true;
       this.sliderThumb.classList.add('dragging');
-      updateSlider(getPositionFromEvent(e));
+      this.holdHistoryStep();
+      this.setTemporalShift(getPositionFromEvent(e));
+      this.recordAutomation('TimeStretch', this.getParameter('TimeStretch'));
     };
 
     const onMove = (e) => {
       if (!this.isDraggingSlider) return;
       e.preventDefault();
-      updateSlider(getPositionFromEvent(e));
+      this.setTemporalShift(getPositionFromEvent(e));
+      this.recordAutomation('TimeStretch', this.getParameter('TimeStretch'));
     };
 
     const onEnd = () => {
+      if (this.isDraggingSlider) {
+        this.automationHeld = null;
+        this.releaseHistoryStep();
+      }
       this.isDraggingSlider = false;
       this.sliderThumb.classList.remove('dragging');
     };
@@ -282,14 +778,86 @@ class NassauShift {
     this.sliderTrack.addEventListener('mousedown', onStart);
     this.sliderTrack.addEventListener('touchstart', onStart, { passive: false });
 
+    // Keyboard - the slider moves one stretch factor at a time
+    this.sliderTrack.setAttribute('role', 'slider');
+    this.sliderTrack.setAttribute('tabindex', '0');
+    this.sliderTrack.setAttribute('aria-label', 'Temporal Shift');
+    this.sliderTrack.addEventListener('keydown', e => this.onSliderKeyDown(e));
+
     // Document-level move/end for smooth dragging
-    document.addEventListener('mousemove', onMove);
-    document.addEventListener('mouseup', onEnd);
-    document.addEventListener('touchmove', onMove, { passive: false });
-    document.addEventListener('touchend', onEnd);
+    const { signal } = this.listenerController;
+    document.addEventListener('mousemove', onMove, { signal });
+    document.addEventListener('mouseup', onEnd, { signal });
+    document.addEventListener('touchmove', onMove, { passive: false, signal });
+    document.addEventListener('touchend', onEnd, { signal });
 
     // Initialize at first position
-    updateSlider(0);
+    this.setTemporalShift(0);
+  }
+
+  onSliderKeyDown(e) {
+    const step = Math.round(this.temporalShiftValue * this.sliderMaxSteps);
+    let next;
+
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'ArrowRight':
+      case 'PageUp':
+        next = step + 1;
+        break;
+      case 'ArrowDown':
+      case 'ArrowLeft':
+      case 'PageDown':
+        next = step - 1;
+        break;
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = this.sliderMaxSteps;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.markHistory();
+    this.setTemporalShift(this.stretchToNormalized(Math.max(0, Math.min(this.sliderMaxSteps, next)) + 1));
+    this.recordAutomation('TimeStretch', this.getParameter('TimeStretch'));
+  }
+
+  // Slider moved by the user, MIDI or automation - the engine follows
+  setTemporalShift(normalizedValue) {
+    const intValue = this.updateSliderVisual(normalizedValue);
+
+    // Set RNBO parameter (only responds to integers 1-5), then line up the buffers
+    // around the slider position
+    this.engine.setTimeStretch(intValue);
+    this.engine.updateBufferWindow(this.temporalShiftValue * this.sliderMaxSteps);
+    this.scheduleHashUpdate();
+  }
+
+  // Returns the TimeStretch value the position lands on
+  updateSliderVisual(normalizedValue) {
+    // Clamp to 0-1
+    normalizedValue = Math.max(0, Math.min(1, normalizedValue));
+    this.temporalShiftValue = normalizedValue;
+
+    // Update visuals (continuous)
+    const percent = normalizedValue * 100;
+    this.sliderFill.style.width = `${percent}%`;
+    this.sliderThumb.style.left = `${percent}%`;
+
+    // Calculate which integer value this maps to
+    const intValue = Math.round(normalizedValue * this.sliderMaxSteps) + 1;
+
+    // Update display label
+    this.sliderValue.textContent = this.sliderLabels[intValue - 1];
+    this.sliderTrack.setAttribute('aria-valuemin', 1);
+    this.sliderTrack.setAttribute('aria-valuemax', this.sliderMaxSteps + 1);
+    this.sliderTrack.setAttribute('aria-valuenow', intValue);
+    this.sliderTrack.setAttribute('aria-valuetext', this.sliderLabels[intValue - 1]);
+    return intValue;
   }
 
   setupPowerButton() {
@@ -315,334 +883,2978 @@ class NassauShift {
     }, { passive: false });
   }
 
-  async loadSamples() {
-    if (this.isLoaded) return;
-
-    this.loadBtn.disabled = true;
-    this.statusText.textContent = 'Initializing...';
-
-    try {
-      // Create AudioContext early on user gesture (required for mobile)
-      if (!this.audioContext) {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  // L loads, Space plays/stops, Ctrl+Z/Ctrl+Shift+Z undo and redo. Ignored while
+  // typing in a field (which keeps its own undo), and Space is
+  // left alone on buttons so it still presses them. Inside a shadow root (several
+  // <nassau-shift> elements on a page) only keys pressed within the instance count.
+  setupKeyboardShortcuts() {
+    const scope = this.container.getRootNode() instanceof ShadowRoot ? this.container : document;
+    scope.addEventListener('keydown', (e) => {
+      const target = e.target;
+      const tag = target.tagName;
+      if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' || target.isContentEditable) return;
+
+      // Ctrl/Cmd+Z undoes, with Shift (or Ctrl+Y) redoes
+      if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' || key === 'y') {
+          e.preventDefault();
+          if (key === 'y' || e.shiftKey) {
+            this.redo();
+          } else {
+            this.undo();
+          }
+        }
+        return;
       }
-
-      // Resume AudioContext if suspended (mobile browsers suspend by default)
-      if (this.audioContext.state === 'suspended') {
-        await this.audioContext.resume();
+      if (e.altKey) return;
+
+      if (e.key === 'l' || e.key === 'L') {
+        e.preventDefault();
+        this.loadSamples();
+      } else if (e.key === ' ' && tag !== 'BUTTON') {
+        e.preventDefault();
+        this.togglePlayback();
       }
+    });
+  }
 
-      await this.initAudio();
-      this.isLoaded = true;
-      this.loadBtn.classList.add('loaded');
-      this.powerBtn.disabled = false;
-      this.statusText.textContent = 'Ready - Press Play';
-    } catch (error) {
-      console.error('Load failed:', error);
-      this.statusText.textContent = 'Error: ' + error.message;
-      this.loadBtn.disabled = false;
-    }
+  // Failures reach the status line through the engine's error event
+  async loadSamples() {
+    await this.load().catch(() => {});
   }
 
   async togglePlayback() {
-    if (!this.isLoaded) return;
+    if (!this.engine.isLoaded) return;
 
-    if (this.isPlaying) {
+    if (this.engine.isPlaying) {
       this.stop();
     } else {
-      await this.start();
+      await this.play();
     }
   }
 
-  async initAudio() {
-    this.statusText.textContent = 'Initializing...';
-
-    try {
-      // Create audio context if not already created (may have been created in loadSamples for mobile)
-      if (!this.audioContext) {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      }
-
-      // Ensure AudioContext is running
-      if (this.audioContext.state === 'suspended') {
-        await this.audioContext.resume();
-      }
-
-      // Setup analyser for visualization
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = 256;
-      this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+  // ============================================
+  // Programmatic API - see nassau-engine.js
+  // ============================================
 
-      // Fetch the RNBO patcher
-      const response = await fetch('nassau_engine.export.json');
-      const patcher = await response.json();
-
-      // Create RNBO device
-      this.device = await RNBO.createDevice({ context: this.audioContext, patcher });
-
-      // Load audio buffers
-      await this.loadBuffers();
+  load() {
+    return this.engine.load();
+  }
 
-      // Initialize all parameters to their UI default values
-      this.initializeParameters();
+  play() {
+    return this.engine.play();
+  }
 
-      // Connect device to output and analyser
-      this.device.node.connect(this.analyser);
-      this.analyser.connect(this.audioContext.destination);
+  stop() {
+    this.engine.stop();
+  }
 
-      // Setup output port listeners
-      this.device.messageEvent.subscribe(e => {
-        if (e.tag === 'atten' || e.tag === 'compens') {
-          // Handle output messages if needed
-        }
-      });
+  // Takes the controller off the page: playback and input stop, and its document and
+  // window listeners and timers go. <nassau-shift> calls it when it's removed.
+  destroy() {
+    this.listenerController.abort();
+    this.stop();
+    this.engine.closeInput();
+    this.stopAutomationPass();
+    this.stopVisualizer();
+    clearInterval(this.recordTimer);
+    clearInterval(this.timelineTimer);
+    clearTimeout(this.historyTimer);
+    clearTimeout(this.hashUpdateTimer);
+  }
 
-      this.statusText.textContent = 'Ready';
+  setParam(name, value) {
+    this.engine.setParam(name, value);
+  }
 
-    } catch (error) {
-      console.error('Failed to initialize audio:', error);
-      this.statusText.textContent = 'Error: ' + error.message;
-    }
+  getState() {
+    return this.engine.getState();
   }
 
-  async loadBuffers() {
-    this.statusText.textContent = 'Loading samples...';
-    this.progressContainer.classList.add('visible');
+  setState(state) {
+    return this.engine.setState(state);
+  }
 
-    // Get the data buffer descriptions from the device
-    const dataBufferDescriptions = this.device.dataBufferDescriptions;
-    console.log('Buffer descriptions:', dataBufferDescriptions);
+  on(event, listener) {
+    return this.engine.on(event, listener);
+  }
 
-    const totalBuffers = dataBufferDescriptions.length;
-    let loadedCount = 0;
+  // ============================================
+  // Engine events
+  // ============================================
+
+  setupEngineEvents() {
+    this.engine.on('paramchange', e => this.onParamChange(e));
+    this.engine.on('statechange', ({ state }) => this.onEngineStateChange(state));
+    this.engine.on('loadprogress', () => this.renderBufferStatus());
+    this.engine.on('bufferchange', () => this.renderBufferSlots());
+    this.engine.on('error', e => this.onEngineError(e));
+    this.engine.on('parametermodel', () => this.onParameterModel());
+    this.engine.on('stretchlimit', () => this.configureTimeStretchSteps());
+    this.engine.on('message', e => this.onEngineMessage(e));
+    this.engine.on('modulation', ({ values }) => this.onModulation(values));
+  }
 
-    for (const desc of dataBufferDescriptions) {
-      const bufferId = desc.id;
-      const filePath = this.bufferFiles[bufferId];
+  // Moves the knob or slider for a change made anywhere - UI, automation, MIDI or the API
+  onParamChange({ name, value }) {
+    if (name === 'On_Off') return;
 
-      if (!filePath) {
-        console.warn(`No file mapping for buffer: ${bufferId}`);
-        loadedCount++;
-        continue;
+    if (name === 'TimeStretch') {
+      if (this.sliderValue && value !== Math.round(this.temporalShiftValue * this.sliderMaxSteps) + 1) {
+        this.updateSliderVisual(this.stretchToNormalized(value));
       }
-
-      const fileName = filePath.split('/').pop();
-
-      try {
-        this.statusText.textContent = 'Loading Environment';
-        this.progressBar.style.width = '0%';
-        this.progressText.textContent = `${loadedCount + 1} / ${totalBuffers}`;
-
-        // Fetch with progress
-        const arrayBuffer = await this.fetchWithProgress(filePath, (percent, loadedMB, totalMB) => {
-          if (percent >= 0) {
-            const overallProgress = ((loadedCount + percent / 100) / totalBuffers) * 100;
-            this.progressBar.style.width = `${overallProgress}%`;
-            this.progressText.textContent = `${loadedCount + 1} / ${totalBuffers}`;
-          }
-        });
-
-        const sizeMB = (arrayBuffer.byteLength / (1024 * 1024)).toFixed(1);
-        console.log(`Decoding ${fileName} (${sizeMB}MB)...`);
-
-        // Decode with timeout for large files
-        const decodePromise = this.audioContext.decodeAudioData(arrayBuffer);
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Decode timeout - file too large')), 60000)
-        );
-
-        console.log(`Starting decode for ${fileName}...`);
-        const audioBuffer = await Promise.race([decodePromise, timeoutPromise]);
-        console.log(`Decode complete for ${fileName}`);
-
-        // Set the buffer using RNBO's API - pass AudioBuffer directly
-        console.log(`Setting buffer ${bufferId}...`);
-        await this.device.setDataBuffer(bufferId, audioBuffer);
-        console.log(`Buffer ${bufferId} set successfully`);
-
-        loadedCount++;
-        console.log(`✓ Loaded: ${bufferId} (${audioBuffer.length} samples, ${audioBuffer.numberOfChannels}ch, ${audioBuffer.sampleRate}Hz)`);
-      } catch (error) {
-        console.error(`✗ Failed to load buffer ${bufferId}:`, error);
-        this.statusText.textContent = `Error: ${error.message}`;
-        this.progressText.textContent = error.message;
-        loadedCount++;
+    } else {
+      const knobData = this.findKnobByParam(name);
+      if (knobData && knobData.value !== value) {
+        knobData.value = value;
+        knobData.normalized = this.knobValueToNormalized(knobData, value);
+        this.updateKnobVisual(knobData.element.id);
       }
     }
-
-    this.progressContainer.classList.remove('visible');
-    this.statusText.textContent = `Ready - Click to Play`;
-    console.log('All buffers loaded!');
+    this.scheduleHashUpdate();
   }
 
-  async start() {
-    if (!this.device) return;
-
-    // Resume audio context if suspended (REQUIRED for iOS - must be in response to user gesture)
-    if (this.audioContext.state === 'suspended') {
-      try {
-        await this.audioContext.resume();
-        console.log('AudioContext resumed, state:', this.audioContext.state);
-      } catch (e) {
-        console.error('Failed to resume AudioContext:', e);
+  // Knobs take the engine's ranges, and the engine starts from the knobs' values
+  onParameterModel() {
+    this.reconcileKnobs();
+    for (const knobData of this.knobs.values()) {
+      if (this.engine.parameterMap[knobData.param] && this.getParameter(knobData.param) !== knobData.value) {
+        this.setParameter(knobData.param, knobData.value);
       }
     }
-
-    this.isPlaying = true;
-    this.powerBtn.classList.add('active');
-    this.statusDot.classList.add('active');
-    this.statusText.textContent = 'Playing';
-    this.meterL.classList.add('active');
-    this.meterR.classList.add('active');
-
-    // Force all filter resonances to their UI values before turning on
-    // This ensures the RNBO device has the correct values
-    const hpfResKnob = this.knobs.get('knob-hpf-res');
-    const lpfResKnob = this.knobs.get('knob-lpf-res');
-    if (hpfResKnob) this.setRNBOParam('HPF_Res', hpfResKnob.value);
-    if (lpfResKnob) this.setRNBOParam('LPF_Res', lpfResKnob.value);
-
-    // Turn on the device
-    this.setParameter('On_Off', 1);
-
-    // Re-send resonance values after a short delay (some RNBO devices need this)
-    setTimeout(() => {
-      if (hpfResKnob) this.setRNBOParam('HPF_Res', hpfResKnob.value);
-      if (lpfResKnob) this.setRNBOParam('LPF_Res', lpfResKnob.value);
-    }, 100);
-
-    // Start visualization
-    this.drawWaveform();
+    this.configureTimeStretchSteps();
   }
 
-  stop() {
-    if (!this.device) return;
-
-    this.isPlaying = false;
-    this.powerBtn.classList.remove('active');
-    this.statusDot.classList.remove('active');
-    this.statusText.textContent = 'Stopped';
-    this.meterL.classList.remove('active');
-    this.meterR.classList.remove('active');
-
-    // Turn off the device
-    this.setParameter('On_Off', 0);
-  }
-
-  // Direct parameter setter - sets value on RNBO device
-  setRNBOParam(name, value) {
-    if (!this.device) return;
-    const params = this.device.parameters;
-    for (let param of params) {
-      if (param.name === name || param.id === name) {
-        param.value = value;
-        console.log(`RNBO: ${name} = ${value}`);
+  onEngineStateChange(state) {
+    switch (state) {
+      case 'loading':
+        this.loadBtn.disabled = true;
+        this.statusText.textContent = 'Loading samples...';
+        break;
+      case 'ready':
+        this.setupAnalysis();
+        this.loadBtn.classList.add('loaded');
+        this.powerBtn.disabled = false;
+        if (this.recordBtn) this.recordBtn.disabled = false;
+        this.statusText.textContent = this.describeUnavailableStretches('Ready - Press Play');
+        this.configureTimeline();
+        break;
+      case 'idle':
+        this.loadBtn.disabled = this.container.classList.contains('incompatible');
+        break;
+      case 'playing':
+      case 'stopped': {
+        const playing = state === 'playing';
+        this.powerBtn.classList.toggle('active', playing);
+        this.statusDot.classList.toggle('active', playing);
+        this.statusText.textContent = playing ? 'Playing' : 'Stopped';
+        this.meterL.classList.toggle('active', playing);
+        this.meterR.classList.toggle('active', playing);
+        if (playing) {
+          this.startVisualizer();
+          this.startAutomationPass();
+        } else {
+          this.stopAutomationPass();
+        }
+        this.setTimelineRunning(playing);
         break;
       }
     }
   }
 
-  setParameter(name, value) {
-    if (!this.device) return;
-
-    const paramInfo = this.parameterMap[name];
-    if (!paramInfo) return;
-
-    // For filter parameters, always send both cutoff and resonance together
-    // Send Res BEFORE Cutoff (matching how LPF seems to work internally)
-    if (name === 'HPF_Cutoff' || name === 'HPF_Res') {
-      const hpfCutoffKnob = this.knobs.get('knob-hpf-cutoff');
-      const hpfResKnob = this.knobs.get('knob-hpf-res');
-
-      // Use the new value for the parameter being changed, current value for the other
-      const cutoffVal = (name === 'HPF_Cutoff') ? value : (hpfCutoffKnob ? hpfCutoffKnob.value : 0);
-      const resVal = (name === 'HPF_Res') ? value : (hpfResKnob ? hpfResKnob.value : 0);
-
-      // Send Res first, then Cutoff (order matters for some filter implementations)
-      this.setRNBOParam('HPF_Res', resVal);
-      this.setRNBOParam('HPF_Cutoff', cutoffVal);
+  onEngineError({ error, stage }) {
+    // A factor failing after the load only takes it off the slider
+    if (stage === 'buffer') {
+      if (this.engine.isLoaded) {
+        this.statusText.textContent = this.describeUnavailableStretches(this.engine.isPlaying ? 'Playing' : 'Ready');
+      }
       return;
     }
+    this.statusText.textContent = error.name === 'AbortError' ? 'Loading cancelled' : 'Error: ' + error.message;
+  }
 
-    if (name === 'LPF_Cutoff' || name === 'LPF_Res') {
-      const lpfCutoffKnob = this.knobs.get('knob-lpf-cutoff');
-      const lpfResKnob = this.knobs.get('knob-lpf-res');
-
-      const cutoffVal = (name === 'LPF_Cutoff') ? value : (lpfCutoffKnob ? lpfCutoffKnob.value : 4000);
-      const resVal = (name === 'LPF_Res') ? value : (lpfResKnob ? lpfResKnob.value : 0);
+  // The compressor reports its gain reduction
+  onEngineMessage({ tag, payload }) {
+    if (tag === 'atten' || tag === 'compens') {
+      const value = Array.isArray(payload) ? payload[0] : payload;
+      if (typeof value === 'number') this.gainReduction[tag] = value;
+    }
+  }
 
-      this.setRNBOParam('LPF_Cutoff', cutoffVal);
-      this.setRNBOParam('LPF_Res', resVal);
-      return;
+  // Rings follow the modulated values; the knob itself stays on the base value
+  onModulation(values) {
+    for (const knobData of this.knobs.values()) {
+      const value = values[knobData.param];
+      const modulated = typeof value === 'number';
+      knobData.element.classList.toggle('modulated', modulated);
+      if (!modulated) continue;
+
+      const position = Math.max(0, Math.min(1, this.knobValueToNormalized(knobData, value)));
+      knobData.modRing.style.setProperty('--mod-start', Math.min(position, knobData.normalized) * 270);
+      knobData.modRing.style.setProperty('--mod-end', Math.max(position, knobData.normalized) * 270);
     }
+  }
+
+  // The visualizer and meters tap the engine's output once the device exists
+  setupAnalysis() {
+    if (this.analyser) return;
 
-    // For all other parameters, just set directly
-    this.setRNBOParam(name, value);
+    this.analyser = this.engine.audioContext.createAnalyser();
+    this.engine.outputGain.connect(this.analyser);
+    this.applyVisualizerSettings();
+    this.setupMetering();
+    this.setupVisualizerAnalysers();
   }
 
-  initializeParameters() {
-    // Sync all knob values to RNBO device
-    console.log('Initializing parameters from UI values...');
+  // Status list and overall bar in the progress area
+  renderBufferStatus() {
+    const active = this.engine.hasActiveLoads();
+    const failed = Object.values(this.engine.bufferStates).includes('failed');
 
-    for (const [knobId, knobData] of this.knobs) {
-      this.setParameter(knobData.param, knobData.value);
-      console.log(`  ${knobData.param} = ${knobData.value}`);
+    if (this.loadStatusEl) {
+      this.loadStatusEl.classList.toggle('visible', active || failed);
+      this.loadCancelBtn.textContent = active ? 'Cancel' : 'Close';
+    }
+    this.progressContainer.classList.toggle('visible', active);
+
+    // Bar covers everything in flight
+    const inFlight = Object.keys(this.engine.bufferStates).filter(id => ['queued', 'downloading', 'decoding'].includes(this.engine.bufferStates[id]));
+    if (inFlight.length) {
+      const done = inFlight.reduce((sum, id) => sum + (this.engine.bufferStates[id] === 'decoding' ? 1 : (this.engine.bufferProgress[id] || 0)), 0);
+      this.progressBar.style.width = `${(done / inFlight.length) * 100}%`;
+      this.progressText.textContent = `${inFlight.length} loading`;
     }
 
-    // Also set TimeStretch to initial value
-    this.setParameter('TimeStretch', 1);
-
-    // Ensure On_Off is off initially
-    this.setParameter('On_Off', 0);
+    if (!this.bufferStatusEl) return;
+    this.bufferStatusEl.innerHTML = '';
+    for (const desc of this.engine.getBufferDescriptions()) {
+      const state = this.engine.bufferStates[desc.id];
+      if (!state) continue;
+
+      const item = document.createElement('li');
+      item.className = `buffer-status-item ${state}`;
+      const progress = this.engine.bufferProgress[desc.id];
+      const detail = state === 'downloading' && progress ? ` ${Math.round(progress * 100)}%`
+        : state === 'failed' && this.engine.bufferErrors[desc.id] ? ` - ${this.engine.bufferErrors[desc.id]}` : '';
+      item.textContent = `${this.engine.getStretchFactor(desc.id)}× ${state}${detail}`;
+      this.bufferStatusEl.appendChild(item);
+    }
   }
 
-  drawWaveform() {
-    if (!this.isPlaying) {
+  // Appends the factors the slider can't reach (and why) to a status message
+  describeUnavailableStretches(message) {
+    const paramInfo = this.engine.parameterMap.TimeStretch;
+    if (!paramInfo) return message;
+
+    const memory = [];
+    const failed = [];
+    for (let value = paramInfo.min; value <= paramInfo.max; value++) {
+      const bufferId = this.engine.getBufferForStretch(value);
+      const label = paramInfo.format(value);
+      if (value > this.sliderMaxSteps + 1) memory.push(label);
+      else if (bufferId && this.engine.bufferStates[bufferId] === 'failed') failed.push(label);
+    }
+
+    const notes = [];
+    if (memory.length) notes.push(`${memory.join(', ')} unavailable (memory)`);
+    if (failed.length) notes.push(`${failed.join(', ')} failed to load`);
+    return notes.length ? `${message} · ${notes.join(' · ')}` : message;
+  }
+
+  // ============================================
+  // Temporal Shift transitions
+  // ============================================
+
+  setupTransitions() {
+    this.transitionModeEl = this.getElement('transitionMode');
+    this.transitionFadeEl = this.getElement('transitionFade');
+    this.transitionQuantizeEl = this.getElement('transitionQuantize');
+    this.transitionBpmEl = this.getElement('transitionBpm');
+    this.autoDriftEl = this.getElement('autoDrift');
+    this.driftIntervalEl = this.getElement('driftInterval');
+    if (!this.transitionModeEl) return;
+
+    this.transitionModeEl.value = this.engine.transition.mode;
+    this.transitionFadeEl.value = this.engine.transition.fadeMs;
+    this.transitionQuantizeEl.checked = this.engine.transition.quantize;
+    this.transitionBpmEl.value = this.engine.transition.bpm;
+    this.autoDriftEl.checked = this.engine.transition.drift;
+    this.driftIntervalEl.value = this.engine.transition.driftSeconds;
+    this.updateTransitionControls();
+
+    const onChange = () => {
+      const number = (el, fallback) => {
+        const value = parseFloat(el.value);
+        return isFinite(value) ? Math.max(parseFloat(el.min), Math.min(parseFloat(el.max), value)) : fallback;
+      };
+
+      this.engine.setTransition({
+        mode: this.transitionModeEl.value,
+        fadeMs: number(this.transitionFadeEl, this.engine.transition.fadeMs),
+        quantize: this.transitionQuantizeEl.checked,
+        bpm: number(this.transitionBpmEl, this.engine.transition.bpm),
+        drift: this.autoDriftEl.checked,
+        driftSeconds: number(this.driftIntervalEl, this.engine.transition.driftSeconds),
+      });
+      this.storeTransitionSettings();
+      this.updateTransitionControls();
+    };
+
+    [this.transitionModeEl, this.transitionFadeEl, this.transitionQuantizeEl,
+      this.transitionBpmEl, this.autoDriftEl, this.driftIntervalEl]
+      .forEach(el => el.addEventListener('change', onChange));
+  }
+
+  updateTransitionControls() {
+    this.transitionFadeEl.disabled = this.engine.transition.mode !== 'crossfade';
+    this.transitionBpmEl.disabled = !this.engine.transition.quantize;
+    this.driftIntervalEl.disabled = !this.engine.transition.drift;
+  }
+
+  // Only what was stored - the engine fills in its defaults
+  loadTransitionSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.transitionStorageKey) || '{}');
+      return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+      console.warn('Could not read transition settings:', error);
+      return {};
+    }
+  }
+
+  storeTransitionSettings() {
+    try {
+      localStorage.setItem(this.transitionStorageKey, JSON.stringify(this.engine.transition));
+    } catch (error) {
+      console.error('Could not save transition settings:', error);
+    }
+  }
+
+  // ============================================
+  // Render / WAV export
+  // ============================================
+
+  setupRender() {
+    this.recordBtn = this.getElement('recordBtn');
+    this.recordTime = this.getElement('recordTime');
+    this.renderMode = this.getElement('renderMode');
+    this.renderDuration = this.getElement('renderDuration');
+
+    if (!this.recordBtn) return;
+
+    this.recordBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.toggleRender();
+    });
+
+    this.renderMode.addEventListener('change', () => {
+      this.renderDuration.disabled = this.renderMode.value !== 'offline';
+    });
+    this.renderDuration.disabled = this.renderMode.value !== 'offline';
+  }
+
+  async toggleRender() {
+    if (!this.engine.isLoaded || this.isRendering) return;
+
+    if (this.isRecording) {
+      this.stopRecording();
+    } else if (this.renderMode.value === 'offline') {
+      await this.renderOffline(parseFloat(this.renderDuration.value));
+    } else {
+      await this.startRecording();
+    }
+  }
+
+  formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${String(s).padStart(2, '0')}`;
+  }
+
+  // Live capture - taps the output in real time
+  async startRecording() {
+    try {
+      if (!this.recorderNode) {
+        await this.engine.audioContext.audioWorklet.addModule(new URL('recorder-worklet.js', this.baseUrl).href);
+        this.recorderNode = new AudioWorkletNode(this.engine.audioContext, 'nassau-recorder', {
+          numberOfInputs: 1,
+          numberOfOutputs: 1,
+          channelCount: 2,
+          channelCountMode: 'explicit',
+        });
+        this.recorderNode.port.onmessage = (e) => this.onRecorderMessage(e.data);
+
+        // The recorder outputs silence; connecting it keeps it pulled by the graph
+        this.engine.outputGain.connect(this.recorderNode);
+        this.recorderNode.connect(this.engine.audioContext.destination);
+      }
+
+      this.recordedChunks = [];
+      this.isRecording = true;
+      this.recordBtn.classList.add('recording');
+      this.recorderNode.port.postMessage('start');
+
+      const startTime = this.engine.audioContext.currentTime;
+      this.recordTime.textContent = this.formatTime(0);
+      this.recordTimer = setInterval(() => {
+        this.recordTime.textContent = this.formatTime(this.engine.audioContext.currentTime - startTime);
+      }, 250);
+    } catch (error) {
+      console.error('Recording failed:', error);
+      this.statusText.textContent = 'Error: ' + error.message;
+      this.isRecording = false;
+    }
+  }
+
+  stopRecording() {
+    clearInterval(this.recordTimer);
+    this.isRecording = false;
+    this.recordBtn.classList.remove('recording');
+    this.recorderNode.port.postMessage('stop');
+  }
+
+  onRecorderMessage(message) {
+    if (message.type === 'data') {
+      this.recordedChunks.push(message.channels);
+    } else if (message.type === 'stopped') {
+      const channels = this.joinChunks(this.recordedChunks);
+      this.recordedChunks = [];
+
+      if (!channels.length || !channels[0].length) {
+        this.statusText.textContent = 'Nothing recorded';
+        return;
+      }
+
+      this.downloadBlob(this.encodeWAV(channels, this.engine.audioContext.sampleRate), this.renderFileName('live'));
+      this.statusText.textContent = `Recorded ${this.formatTime(channels[0].length / this.engine.audioContext.sampleRate)}`;
+    }
+  }
+
+  joinChunks(chunks) {
+    if (!chunks.length) return [];
+
+    const channelCount = chunks[0].length;
+    const length = chunks.reduce((sum, chunk) => sum + chunk[0].length, 0);
+    const channels = Array.from({ length: channelCount }, () => new Float32Array(length));
+
+    let offset = 0;
+    for (const chunk of chunks) {
+      for (let c = 0; c < channelCount; c++) {
+        channels[c].set(chunk[c] || chunk[0], offset);
+      }
+      offset += chunk[0].length;
+    }
+    return channels;
+  }
+
+  // Faster than real time - runs a second copy of the patcher in an OfflineAudioContext
+  // with the same buffers and the current parameter values
+  async renderOffline(duration) {
+    if (!isFinite(duration) || duration <= 0) {
+      this.statusText.textContent = 'Error: enter a render duration';
+      return;
+    }
+
+    this.isRendering = true;
+    this.recordBtn.disabled = true;
+    this.recordBtn.classList.add('rendering');
+    this.statusText.textContent = 'Rendering...';
+    this.recordTime.textContent = this.formatTime(0);
+
+    try {
+      const sampleRate = this.engine.audioContext.sampleRate;
+      const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      const offline = new OfflineContext(2, Math.ceil(duration * sampleRate), sampleRate);
+
+      // Same runtime as the live device, which may be a pinned one
+      const device = await this.engine.rnbo.createDevice({ context: offline, patcher: this.engine.patcher });
+
+      for (const [bufferId, audioBuffer] of Object.entries(this.engine.audioBuffers)) {
+        await device.setDataBuffer(bufferId, audioBuffer);
+      }
+
+      // The selected factor may still be loading (or was never loaded) on the live device
+      const stretchBuffer = this.engine.getBufferForStretch(this.getParameter('TimeStretch'));
+      if (stretchBuffer && !this.engine.audioBuffers[stretchBuffer] && this.engine.bufferFiles[stretchBuffer]) {
+        const { data } = await this.engine.fetchCached(this.engine.bufferFiles[stretchBuffer], () => {});
+        await device.setDataBuffer(stretchBuffer, await this.engine.audioContext.decodeAudioData(data));
+      }
+
+      // Same order as the engine's sendParameter: HPF Res before Cutoff
+      const order = ['HPF_Res', 'HPF_Cutoff', 'LPF_Cutoff', 'LPF_Res'];
+      const names = Object.keys(this.engine.parameterMap)
+        .filter(name => name !== 'On_Off')
+        .sort((a, b) => (order.indexOf(a) + 1 || 99) - (order.indexOf(b) + 1 || 99));
+
+      for (const name of names) {
+        const param = device.parameters.find(p => p.name === name || p.id === name);
+        const value = this.getParameter(name);
+        if (param && typeof value === 'number') param.value = value;
+      }
+      const onOff = device.parameters.find(p => p.name === 'On_Off' || p.id === 'On_Off');
+      if (onOff) onOff.value = 1;
+
+      device.node.connect(offline.destination);
+
+      // Suspend once a second to report progress
+      for (let t = 1; t < duration; t++) {
+        offline.suspend(t).then(() => {
+          this.recordTime.textContent = this.formatTime(t);
+          offline.resume();
+        });
+      }
+
+      const rendered = await offline.startRendering();
+      const channels = [];
+      for (let c = 0; c < rendered.numberOfChannels; c++) {
+        channels.push(rendered.getChannelData(c));
+      }
+
+      this.downloadBlob(this.encodeWAV(channels, rendered.sampleRate), this.renderFileName('render'));
+      this.recordTime.textContent = this.formatTime(duration);
+      this.statusText.textContent = `Rendered ${this.formatTime(duration)}`;
+    } catch (error) {
+      console.error('Offline render failed:', error);
+      this.statusText.textContent = 'Error: ' + error.message;
+    } finally {
+      this.isRendering = false;
+      this.recordBtn.disabled = false;
+      this.recordBtn.classList.remove('rendering');
+    }
+  }
+
+  renderFileName(kind) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    return `nassau-shift-${kind}-${stamp}.wav`;
+  }
+
+  // 16-bit PCM WAV, channels interleaved
+  encodeWAV(channels, sampleRate) {
+    const channelCount = channels.length;
+    const frames = channels[0].length;
+    const dataSize = frames * channelCount * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, str) => {
+      for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channelCount * 2, true);
+    view.setUint16(32, channelCount * 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < channelCount; c++) {
+        const sample = Math.max(-1, Math.min(1, channels[c][i]));
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+        offset += 2;
+      }
+    }
+
+    return new Blob([view], { type: 'audio/wav' });
+  }
+
+  // ============================================
+  // Automation
+  // ============================================
+
+  setupAutomation() {
+    this.automationRecBtn = this.getElement('automationRec');
+    this.automationReadBtn = this.getElement('automationRead');
+    this.automationLoopBtn = this.getElement('automationLoop');
+    this.automationClearBtn = this.getElement('automationClear');
+    this.automationAddSelect = this.getElement('automationAdd');
+    this.automationLanesEl = this.getElement('automationLanes');
+
+    if (!this.automationLanesEl) return;
+
+    this.automationRecBtn.addEventListener('click', () => {
+      this.automationArmed = !this.automationArmed;
+      this.automationTouched.clear();
+      this.automationRecBtn.classList.toggle('active', this.automationArmed);
+    });
+
+    this.automationReadBtn.addEventListener('click', () => {
+      this.automationRead = !this.automationRead;
+      this.automationReadBtn.classList.toggle('active', this.automationRead);
+    });
+    this.automationReadBtn.classList.toggle('active', this.automationRead);
+
+    this.automationLoopBtn.addEventListener('click', () => {
+      this.automationLoop = !this.automationLoop;
+      this.automationLoopBtn.classList.toggle('active', this.automationLoop);
+    });
+
+    this.automationClearBtn.addEventListener('click', () => this.loadAutomation({ lanes: {} }));
+
+    // Empty lanes can be added by hand and drawn in
+    this.automationAddSelect.addEventListener('change', () => {
+      const name = this.automationAddSelect.value;
+      this.automationAddSelect.value = '';
+      if (name && !this.automation.lanes[name]) {
+        this.automation.lanes[name] = [];
+        this.renderAutomationLanes();
+      }
+    });
+
+    this.renderAutomationLanes();
+  }
+
+  hasAutomation() {
+    return Object.values(this.automation.lanes).some(points => points.length);
+  }
+
+  serializeAutomation() {
+    const lanes = {};
+    for (const [name, points] of Object.entries(this.automation.lanes)) {
+      if (points.length) lanes[name] = points.map(p => ({ time: p.time, value: p.value }));
+    }
+    return { lanes };
+  }
+
+  // Drops unknown parameters and malformed points, sorts by time
+  normalizeAutomation(raw) {
+    if (!raw || typeof raw !== 'object' || !raw.lanes || typeof raw.lanes !== 'object') return null;
+
+    const lanes = {};
+    for (const [name, points] of Object.entries(raw.lanes)) {
+      if (!this.engine.parameterMap[name] || name === 'On_Off' || !Array.isArray(points)) continue;
+      lanes[name] = points
+        .filter(p => p && isFinite(p.time) && isFinite(p.value) && p.time >= 0)
+        .map(p => ({ time: p.time, value: p.value }))
+        .sort((a, b) => a.time - b.time);
+    }
+    return { lanes };
+  }
+
+  loadAutomation(data) {
+    this.automation = this.normalizeAutomation(data) || { lanes: {} };
+    this.automationLastSent = {};
+    this.renderAutomationLanes();
+  }
+
+  getAutomationDuration() {
+    let duration = 0;
+    for (const points of Object.values(this.automation.lanes)) {
+      if (points.length) duration = Math.max(duration, points[points.length - 1].time);
+    }
+    return duration;
+  }
+
+  // Seconds into the current pass at an audio clock time (default now), wrapped when looping
+  getAutomationTime(audioTime) {
+    if (!this.engine.audioContext) return 0;
+    const at = audioTime === undefined ? this.engine.audioContext.currentTime : audioTime;
+    const elapsed = at - this.playbackStartTime;
+    const duration = this.getAutomationDuration();
+    return this.automationLoop && duration > 0 ? elapsed % duration : elapsed;
+  }
+
+  startAutomationPass() {
+    this.playbackStartTime = this.engine.audioContext.currentTime;
+    this.automationScheduledTo = this.playbackStartTime;
+    this.automationTouched.clear();
+    this.automationLastSent = {};
+
+    clearInterval(this.automationTimer);
+    this.automationTimer = setInterval(() => this.automationTick(), this.automationTickMs);
+    this.automationTick();
+  }
+
+  stopAutomationPass() {
+    clearInterval(this.automationTimer);
+    this.automationTimer = null;
+    this.automationHeld = null;
+    this.engine.cancelScheduledParams();
+    this.drawAutomationLanes();
+  }
+
+  // Records a user edit into its lane. The first touch of a lane in a record pass
+  // replaces that lane; lanes that aren't touched keep playing back.
+  recordAutomation(name, value) {
+    if (!this.automationArmed || !this.engine.isPlaying || this.isApplyingAutomation) return;
+
+    const time = this.engine.audioContext.currentTime - this.playbackStartTime;
+    this.automationHeld = name;
+
+    if (!this.automationTouched.has(name)) {
+      this.automationTouched.add(name);
+      this.automation.lanes[name] = [];
+    }
+
+    // Thin out the pointer event rate
+    const points = this.automation.lanes[name];
+    const last = points[points.length - 1];
+    if (last && time - last.time < 0.015) {
+      last.value = value;
+    } else {
+      points.push({ time, value });
+    }
+
+    if (!this.automationLanesEl || this.automationLanesEl.querySelector(`[data-lane="${name}"]`)) return;
+    this.renderAutomationLanes();
+  }
+
+  // Lane value at a time - linear between points, held for stepped parameters
+  getAutomationValue(name, time) {
+    const points = this.automation.lanes[name];
+    if (!points || !points.length) return null;
+    if (time <= points[0].time) return points[0].value;
+
+    for (let i = 1; i < points.length; i++) {
+      if (time < points[i].time) {
+        const a = points[i - 1];
+        const b = points[i];
+        if (name === 'TimeStretch') return a.value;
+        return a.value + (b.value - a.value) * ((time - a.time) / (b.time - a.time));
+      }
+    }
+    return points[points.length - 1].value;
+  }
+
+  // Lane values are queued with the engine ahead of the audio clock, at control rate,
+  // as far ahead as it asks (further while the tab is hidden and this timer is
+  // throttled), so playback keeps time however late a tick runs. The device and the
+  // knobs get the values as they fall due. TimeStretch goes through its transition when
+  // its point is reached instead.
+  automationTick() {
+    if (!this.engine.isPlaying) return;
+
+    if (this.automationRead) {
+      const now = this.engine.audioContext.currentTime;
+      const from = Math.max(now, this.automationScheduledTo);
+      const until = now + this.engine.getScheduleAhead() + this.automationTickMs / 1000;
+
+      for (const name of Object.keys(this.automation.lanes)) {
+        // A lane being written or held by the user isn't read back
+        if (name === this.automationHeld || (this.automationArmed && this.automationTouched.has(name))) continue;
+
+        if (name === 'TimeStretch') {
+          this.sendAutomationValue(name, now, value => this.applyAutomationValue(name, value));
+        } else {
+          const step = this.engine.controlRateMs / 1000;
+          for (let i = 0; from + i * step < until; i++) {
+            const time = from + i * step;
+            this.sendAutomationValue(name, time, value => this.engine.scheduleParam(name, value, time));
+          }
+        }
+      }
+      this.automationScheduledTo = Math.max(this.automationScheduledTo, until);
+    }
+
+    this.drawAutomationLanes();
+  }
+
+  // Passes the lane's value at an audio clock time to send, unless it hasn't changed
+  sendAutomationValue(name, time, send) {
+    const value = this.getAutomationValue(name, this.getAutomationTime(time));
+    if (value === null) return;
+
+    const last = this.automationLastSent[name];
+    if (last !== undefined && Math.abs(last - value) < 1e-6) return;
+
+    this.automationLastSent[name] = value;
+    send(value);
+  }
+
+  // Goes through the slider or the engine like a user edit, so the UI follows the automation
+  applyAutomationValue(name, value) {
+    this.isApplyingAutomation = true;
+
+    if (name === 'TimeStretch') {
+      this.setTemporalShift(this.stretchToNormalized(Math.round(value)));
+    } else {
+      this.setParameter(name, value);
+    }
+
+    this.isApplyingAutomation = false;
+  }
+
+  renderAutomationLanes() {
+    if (!this.automationLanesEl) return;
+
+    // Parameters that can still get a lane
+    this.automationAddSelect.innerHTML = '<option value="">+ Lane…</option>' + Object.keys(this.engine.parameterMap)
+      .filter(name => name !== 'On_Off' && !this.automation.lanes[name])
+      .map(name => `<option value="${name}">${this.engine.parameterMap[name].label}</option>`)
+      .join('');
+
+    this.automationLanesEl.innerHTML = '';
+    for (const name of Object.keys(this.automation.lanes)) {
+      const lane = document.createElement('div');
+      lane.className = 'automation-lane';
+      lane.dataset.lane = name;
+
+      const label = document.createElement('span');
+      label.className = 'automation-lane-label';
+      label.textContent = this.engine.parameterMap[name] ? this.engine.parameterMap[name].label : name;
+
+      const canvas = document.createElement('canvas');
+      canvas.className = 'automation-lane-canvas';
+
+      const remove = document.createElement('button');
+      remove.className = 'automation-lane-remove';
+      remove.setAttribute('aria-label', `Remove ${label.textContent} lane`);
+      remove.textContent = '×';
+      remove.addEventListener('click', () => {
+        delete this.automation.lanes[name];
+        delete this.automationLastSent[name];
+        this.renderAutomationLanes();
+      });
+
+      lane.append(label, canvas, remove);
+      this.automationLanesEl.appendChild(lane);
+      this.setupLaneEditing(canvas, name);
+    }
+
+    this.drawAutomationLanes();
+  }
+
+  // The visible time span - at least 10 seconds, with room past the last point
+  getLaneSpan() {
+    return Math.max(10, this.getAutomationDuration() * 1.1, this.engine.isPlaying ? this.getAutomationTime() * 1.1 : 0);
+  }
+
+  drawAutomationLanes() {
+    if (!this.automationLanesEl) return;
+
+    const span = this.getLaneSpan();
+    const playhead = this.engine.isPlaying ? this.getAutomationTime() : null;
+
+    for (const canvas of this.automationLanesEl.querySelectorAll('canvas')) {
+      const name = canvas.parentElement.dataset.lane;
+      const paramInfo = this.engine.parameterMap[name];
+      const points = this.automation.lanes[name] || [];
+      const ctx = canvas.getContext('2d');
+      const dpr = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+
+      if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+      }
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+      ctx.fillStyle = 'rgba(26, 16, 37, 1)';
+      ctx.fillRect(0, 0, width, height);
+      if (!paramInfo) continue;
+
+      const toX = t => (t / span) * width;
+      const toY = v => height - ((v - paramInfo.min) / (paramInfo.max - paramInfo.min)) * (height - 8) - 4;
+
+      if (points.length) {
+        ctx.strokeStyle = 'rgba(255, 126, 95, 0.9)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, toY(points[0].value));
+        points.forEach((p, i) => {
+          if (name === 'TimeStretch' && i > 0) ctx.lineTo(toX(p.time), toY(points[i - 1].value));
+          ctx.lineTo(toX(p.time), toY(p.value));
+        });
+        ctx.lineTo(width, toY(points[points.length - 1].value));
+        ctx.stroke();
+
+        // Only draw handles when they are far enough apart to grab
+        if (points.length < width / 6) {
+          ctx.fillStyle = 'rgba(254, 180, 123, 1)';
+          for (const p of points) {
+            ctx.beginPath();
+            ctx.arc(toX(p.time), toY(p.value), 3, 0, Math.PI * 2);
+            ctx.fill();
+          }
+        }
+      }
+
+      if (playhead !== null) {
+        ctx.fillStyle = 'rgba(255, 245, 240, 0.6)';
+        ctx.fillRect(toX(playhead), 0, 1, height);
+      }
+    }
+  }
+
+  // Click to add a point, drag to move it, double-click to delete it
+  setupLaneEditing(canvas, name) {
+    let dragIndex = -1;
+
+    const toPoint = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      const paramInfo = this.engine.parameterMap[name];
+      const x = Math.max(0, Math.min(rect.width, e.clientX - rect.left));
+      const y = Math.max(0, Math.min(rect.height, e.clientY - rect.top));
+      let value = paramInfo.min + (1 - (y - 4) / (rect.height - 8)) * (paramInfo.max - paramInfo.min);
+      value = Math.max(paramInfo.min, Math.min(paramInfo.max, value));
+      if (name === 'TimeStretch') value = Math.round(value);
+      return { time: (x / rect.width) * this.getLaneSpan(), value, x, y };
+    };
+
+    const findNear = (pos) => {
+      const points = this.automation.lanes[name];
+      const rect = canvas.getBoundingClientRect();
+      const span = this.getLaneSpan();
+      const paramInfo = this.engine.parameterMap[name];
+      return points.findIndex(p => {
+        const px = (p.time / span) * rect.width;
+        const py = rect.height - ((p.value - paramInfo.min) / (paramInfo.max - paramInfo.min)) * (rect.height - 8) - 4;
+        return Math.abs(px - pos.x) < 6 && Math.abs(py - pos.y) < 6;
+      });
+    };
+
+    const onMove = (e) => {
+      if (dragIndex < 0) return;
+      const points = this.automation.lanes[name];
+      const pos = toPoint(e);
+      points[dragIndex].time = pos.time;
+      points[dragIndex].value = pos.value;
+
+      // Keep the lane sorted while dragging past neighbours
+      const moved = points[dragIndex];
+      points.sort((a, b) => a.time - b.time);
+      dragIndex = points.indexOf(moved);
+      this.drawAutomationLanes();
+    };
+
+    const onUp = () => {
+      dragIndex = -1;
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+    };
+
+    canvas.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      const pos = toPoint(e);
+      const points = this.automation.lanes[name];
+      dragIndex = findNear(pos);
+
+      if (dragIndex < 0) {
+        const point = { time: pos.time, value: pos.value };
+        points.push(point);
+        points.sort((a, b) => a.time - b.time);
+        dragIndex = points.indexOf(point);
+      }
+
+      this.drawAutomationLanes();
+      const { signal } = this.listenerController;
+      document.addEventListener('mousemove', onMove, { signal });
+      document.addEventListener('mouseup', onUp, { signal });
+    });
+
+    canvas.addEventListener('dblclick', (e) => {
+      const index = findNear(toPoint(e));
+      if (index >= 0) {
+        this.automation.lanes[name].splice(index, 1);
+        this.drawAutomationLanes();
+      }
+    });
+  }
+
+  // ============================================
+  // Macros
+  // ============================================
+
+  setupMacros() {
+    this.macroAddBtn = this.getElement('macroAdd');
+    this.macroListEl = this.getElement('macroList');
+    if (!this.macroListEl) return;
+
+    this.macroAddBtn.addEventListener('click', () => {
+      this.macros.push({ name: `Macro ${this.macros.length + 1}`, value: 0, targets: [] });
+      this.macroEditing = this.macros.length - 1;
+      this.storeMacros();
+      this.renderMacros();
+    });
+  }
+
+  // Shapes the macro position (0-1) on its way to a target
+  applyMacroCurve(curve, position) {
+    switch (curve) {
+      case 'exponential':
+        return position * position;
+      case 'logarithmic':
+        return 1 - (1 - position) * (1 - position);
+      case 's-curve':
+        return position * position * (3 - 2 * position);
+      default:
+        return position;
+    }
+  }
+
+  // Targets go through setParameter like a knob edit, so filter pairs still go out
+  // together, the knobs follow through paramchange and armed lanes record the move
+  setMacroValue(index, value) {
+    const macro = this.macros[index];
+    if (!macro) return;
+
+    macro.value = Math.max(0, Math.min(1, value));
+    if (macro.targets.length) this.markHistory();
+    for (const target of macro.targets) {
+      const position = this.applyMacroCurve(target.curve, target.invert ? 1 - macro.value : macro.value);
+      this.setParameter(target.param, target.min + (target.max - target.min) * position);
+      this.recordAutomation(target.param, this.getParameter(target.param));
+    }
+    this.updateMacroVisual(index);
+  }
+
+  // Drops unknown parameters and malformed targets, clamps ranges to the parameter's own
+  normalizeMacros(raw) {
+    if (!Array.isArray(raw)) return null;
+
+    const number = (value, min, max, fallback) =>
+      (typeof value === 'number' && isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback);
+
+    return raw.filter(macro => macro && typeof macro === 'object').map((macro, i) => ({
+      name: typeof macro.name === 'string' && macro.name.trim() ? macro.name.trim() : `Macro ${i + 1}`,
+      value: number(macro.value, 0, 1, 0),
+      targets: (Array.isArray(macro.targets) ? macro.targets : [])
+        .filter(target => target && this.engine.parameterMap[target.param] && target.param !== 'On_Off')
+        .map((target) => {
+          const paramInfo = this.engine.parameterMap[target.param];
+          return {
+            param: target.param,
+            min: number(target.min, paramInfo.min, paramInfo.max, paramInfo.min),
+            max: number(target.max, paramInfo.min, paramInfo.max, paramInfo.max),
+            curve: this.macroCurves[target.curve] ? target.curve : 'linear',
+            invert: !!target.invert,
+          };
+        }),
+    }));
+  }
+
+  serializeMacros() {
+    return this.macros.map(macro => ({
+      name: macro.name,
+      value: macro.value,
+      targets: macro.targets.map(target => ({ ...target })),
+    }));
+  }
+
+  // Replaces the macro set. Positions are restored as they were saved; the parameters
+  // themselves come from the state being applied, so nothing moves here.
+  setMacros(data) {
+    this.macros = this.normalizeMacros(data) || [];
+    this.macroEditing = null;
+    this.storeMacros();
+    this.renderMacros();
+  }
+
+  loadStoredMacros() {
+    try {
+      return this.normalizeMacros(JSON.parse(localStorage.getItem(this.macroStorageKey) || '[]')) || [];
+    } catch (error) {
+      console.warn('Could not read stored macros:', error);
+      return [];
+    }
+  }
+
+  storeMacros() {
+    try {
+      localStorage.setItem(this.macroStorageKey, JSON.stringify(this.serializeMacros()));
+    } catch (error) {
+      console.error('Could not save macros:', error);
+    }
+  }
+
+  renderMacros() {
+    if (!this.macroListEl) return;
+
+    this.macroListEl.innerHTML = '';
+    this.macros.forEach((macro, index) => {
+      const row = document.createElement('div');
+      row.className = 'macro';
+      row.dataset.macro = index;
+
+      const name = document.createElement('input');
+      name.className = 'macro-name';
+      name.value = macro.name;
+      name.setAttribute('aria-label', 'Macro name');
+
+      const amount = document.createElement('input');
+      amount.type = 'range';
+      amount.className = 'macro-amount';
+      amount.min = 0;
+      amount.max = 1;
+      amount.step = 0.001;
+      amount.setAttribute('aria-label', macro.name);
+      amount.addEventListener('input', () => this.setMacroValue(index, parseFloat(amount.value)));
+      amount.addEventListener('change', () => this.storeMacros());
+
+      name.addEventListener('change', () => {
+        macro.name = name.value.trim() || `Macro ${index + 1}`;
+        name.value = macro.name;
+        amount.setAttribute('aria-label', macro.name);
+        this.storeMacros();
+      });
+
+      const readout = document.createElement('span');
+      readout.className = 'macro-value';
+
+      const edit = document.createElement('button');
+      edit.className = 'preset-btn';
+      edit.textContent = 'Edit';
+      edit.classList.toggle('active', this.macroEditing === index);
+      edit.setAttribute('aria-expanded', this.macroEditing === index);
+      edit.addEventListener('click', () => {
+        this.macroEditing = this.macroEditing === index ? null : index;
+        this.renderMacros();
+      });
+
+      const remove = document.createElement('button');
+      remove.className = 'automation-lane-remove';
+      remove.setAttribute('aria-label', `Remove ${macro.name}`);
+      remove.textContent = '×';
+      remove.addEventListener('click', () => {
+        this.macros.splice(index, 1);
+        this.macroEditing = null;
+        this.storeMacros();
+        this.renderMacros();
+      });
+
+      const header = document.createElement('div');
+      header.className = 'macro-header';
+      header.append(name, amount, readout, edit, remove);
+      row.appendChild(header);
+      if (this.macroEditing === index) row.appendChild(this.renderMacroEditor(macro));
+
+      this.macroListEl.appendChild(row);
+      this.updateMacroVisual(index);
+    });
+  }
+
+  updateMacroVisual(index) {
+    const row = this.macroListEl && this.macroListEl.querySelector(`[data-macro="${index}"]`);
+    if (!row) return;
+
+    const value = this.macros[index].value;
+    const amount = row.querySelector('.macro-amount');
+    if (parseFloat(amount.value) !== value) amount.value = value;
+    row.querySelector('.macro-value').textContent = `${Math.round(value * 100)}%`;
+  }
+
+  // One row per target - range in the parameter's own units, curve and inversion
+  renderMacroEditor(macro) {
+    const editor = document.createElement('div');
+    editor.className = 'macro-editor';
+
+    macro.targets.forEach((target, i) => {
+      const paramInfo = this.engine.parameterMap[target.param];
+      const row = document.createElement('div');
+      row.className = 'macro-target';
+
+      const label = document.createElement('span');
+      label.className = 'macro-target-label';
+      label.textContent = paramInfo.label;
+
+      const rangeInput = (key, text) => {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'render-duration';
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = paramInfo.min;
+        input.max = paramInfo.max;
+        input.step = 'any';
+        input.value = target[key];
+        input.setAttribute('aria-label', `${paramInfo.label} ${text}`);
+        input.addEventListener('change', () => {
+          const value = parseFloat(input.value);
+          if (isFinite(value)) target[key] = Math.max(paramInfo.min, Math.min(paramInfo.max, value));
+          input.value = target[key];
+          this.storeMacros();
+        });
+        const span = document.createElement('span');
+        span.textContent = text;
+        wrapper.append(span, input);
+        return wrapper;
+      };
+
+      const curve = document.createElement('select');
+      curve.className = 'render-select';
+      curve.setAttribute('aria-label', `${paramInfo.label} curve`);
+      curve.innerHTML = Object.entries(this.macroCurves)
+        .map(([value, text]) => `<option value="${value}">${text}</option>`)
+        .join('');
+      curve.value = target.curve;
+      curve.addEventListener('change', () => {
+        target.curve = curve.value;
+        this.storeMacros();
+      });
+
+      const invert = document.createElement('label');
+      invert.className = 'transition-toggle';
+      const invertBox = document.createElement('input');
+      invertBox.type = 'checkbox';
+      invertBox.checked = target.invert;
+      invertBox.addEventListener('change', () => {
+        target.invert = invertBox.checked;
+        this.storeMacros();
+      });
+      const invertText = document.createElement('span');
+      invertText.textContent = 'Invert';
+      invert.append(invertBox, invertText);
+
+      const remove = document.createElement('button');
+      remove.className = 'automation-lane-remove';
+      remove.setAttribute('aria-label', `Remove ${paramInfo.label} from ${macro.name}`);
+      remove.textContent = '×';
+      remove.addEventListener('click', () => {
+        macro.targets.splice(i, 1);
+        this.storeMacros();
+        this.renderMacros();
+      });
+
+      row.append(label, rangeInput('min', 'from'), rangeInput('max', 'to'), curve, invert, remove);
+      editor.appendChild(row);
+    });
+
+    // Parameters this macro doesn't drive yet, over their full range to start with
+    const add = document.createElement('select');
+    add.className = 'render-select';
+    add.setAttribute('aria-label', `Add a target to ${macro.name}`);
+    add.innerHTML = '<option value="">+ Target…</option>' + Object.keys(this.engine.parameterMap)
+      .filter(name => name !== 'On_Off' && !macro.targets.some(target => target.param === name))
+      .map(name => `<option value="${name}">${this.engine.parameterMap[name].label}</option>`)
+      .join('');
+    add.addEventListener('change', () => {
+      const paramInfo = this.engine.parameterMap[add.value];
+      if (!paramInfo) return;
+      macro.targets.push({ param: add.value, min: paramInfo.min, max: paramInfo.max, curve: 'linear', invert: false });
+      this.storeMacros();
+      this.renderMacros();
+    });
+    editor.appendChild(add);
+
+    return editor;
+  }
+
+  // ============================================
+  // Modulation
+  // ============================================
+
+  setupModulation() {
+    this.lfoListEl = this.getElement('lfoList');
+    this.engine.on('modulatorchange', () => this.storeModulatorSettings());
+  }
+
+  // One row per LFO; every control goes straight to engine.setModulator
+  renderModulators() {
+    if (!this.lfoListEl) return;
+
+    const shapeNames = {
+      'sine': 'Sine',
+      'triangle': 'Triangle',
+      'square': 'Square',
+      'sample-hold': 'Sample & Hold',
+      'smooth-random': 'Smooth Random',
+    };
+
+    this.lfoListEl.innerHTML = '';
+    this.engine.getModulators().forEach((modulator, index) => {
+      const row = document.createElement('div');
+      row.className = 'lfo';
+
+      const label = document.createElement('span');
+      label.className = 'lfo-label';
+      label.textContent = `LFO ${index + 1}`;
+
+      const select = (options, value, ariaLabel, key) => {
+        const el = document.createElement('select');
+        el.className = 'render-select';
+        el.setAttribute('aria-label', `LFO ${index + 1} ${ariaLabel}`);
+        el.innerHTML = options;
+        el.value = value;
+        el.addEventListener('change', () => this.engine.setModulator(index, { [key]: el.value || null }));
+        return el;
+      };
+
+      const control = (text, attrs, key) => {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'render-duration';
+        const input = document.createElement('input');
+        Object.assign(input, attrs);
+        input.value = modulator[key];
+        input.setAttribute('aria-label', `LFO ${index + 1} ${text}`);
+        input.addEventListener(attrs.type === 'range' ? 'input' : 'change', () => {
+          const value = parseFloat(input.value);
+          if (isFinite(value)) this.engine.setModulator(index, { [key]: value });
+          if (attrs.type !== 'range') input.value = this.engine.modulators[index][key];
+        });
+        const span = document.createElement('span');
+        span.textContent = text;
+        wrapper.append(span, input);
+        return wrapper;
+      };
+
+      const shape = select(
+        this.engine.lfoShapes.map(name => `<option value="${name}">${shapeNames[name] || name}</option>`).join(''),
+        modulator.shape, 'shape', 'shape');
+
+      // Parameters this device has, by label
+      const target = select('<option value="">No target</option>' + Object.keys(this.engine.parameterMap)
+        .filter(name => name !== 'On_Off')
+        .map(name => `<option value="${name}">${this.engine.parameterMap[name].label}</option>`)
+        .join(''), modulator.target || '', 'target', 'target');
+
+      row.append(
+        label,
+        shape,
+        control('Hz', { type: 'number', min: 0.01, max: 20, step: 0.01 }, 'rate'),
+        control('Depth', { type: 'range', min: 0, max: 1, step: 0.01 }, 'depth'),
+        control('Phase', { type: 'range', min: 0, max: 1, step: 0.01 }, 'phase'),
+        target,
+      );
+      this.lfoListEl.appendChild(row);
+    });
+  }
+
+  loadModulatorSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.modulatorStorageKey) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn('Could not read LFO settings:', error);
+      return [];
+    }
+  }
+
+  storeModulatorSettings() {
+    try {
+      localStorage.setItem(this.modulatorStorageKey, JSON.stringify(this.engine.getModulators()));
+    } catch (error) {
+      console.error('Could not save LFO settings:', error);
+    }
+  }
+
+  // ============================================
+  // Timeline
+  // ============================================
+
+  // Estimated playhead within the active stretch buffer, in source and dilated time.
+  // Click seeks and dragging sets a loop, when the export has the inports for them.
+  setupTimeline() {
+    this.timelineTrack = this.getElement('timelineTrack');
+    if (!this.timelineTrack) return;
+    this.timelinePlayhead = this.getElement('timelinePlayhead');
+    this.timelineLoop = this.getElement('timelineLoop');
+    this.timeSourceEl = this.getElement('timeSource');
+    this.timeDilatedEl = this.getElement('timeDilated');
+    this.timeFactorEl = this.getElement('timeFactor');
+    this.timelineTimer = null;
+
+    const toFraction = (e) => {
+      const rect = this.timelineTrack.getBoundingClientRect();
+      const x = e.touches ? e.touches[0].clientX : e.clientX;
+      return rect.width ? Math.max(0, Math.min(1, (x - rect.left) / rect.width)) : 0;
+    };
+
+    let start = null;
+    let end = null;
+
+    const onMove = (e) => {
+      if (start === null) return;
+      end = toFraction(e);
+      if (this.engine.canLoop() && Math.abs(end - start) > 0.01) {
+        this.drawTimelineLoop({ start: Math.min(start, end), end: Math.max(start, end) });
+      }
+    };
+
+    const onEnd = () => {
+      if (start === null) return;
+      if (this.engine.canLoop() && Math.abs(end - start) > 0.01) {
+        this.engine.setLoop(start, end);
+      } else {
+        this.engine.seek(start);
+      }
+      start = null;
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onEnd);
+      document.removeEventListener('touchmove', onMove);
+      document.removeEventListener('touchend', onEnd);
+    };
+
+    const onStart = (e) => {
+      if (!this.engine.canSeek() && !this.engine.canLoop()) return;
+      e.preventDefault();
+      start = end = toFraction(e);
+      const { signal } = this.listenerController;
+      document.addEventListener('mousemove', onMove, { signal });
+      document.addEventListener('mouseup', onEnd, { signal });
+      document.addEventListener('touchmove', onMove, { passive: false, signal });
+      document.addEventListener('touchend', onEnd, { signal });
+    };
+
+    this.timelineTrack.addEventListener('mousedown', onStart);
+    this.timelineTrack.addEventListener('touchstart', onStart, { passive: false });
+    this.timelineTrack.addEventListener('dblclick', () => this.engine.setLoop(null));
+    this.timelineTrack.addEventListener('keydown', e => this.onTimelineKeyDown(e));
+
+    this.engine.on('seek', () => this.updateTimeline());
+    this.engine.on('loopchange', ({ loop }) => this.drawTimelineLoop(loop));
+    this.engine.on('bufferchange', () => this.updateTimeline());
+    this.configureTimeline();
+  }
+
+  // Seeking needs a device, so this runs again once one is loaded
+  configureTimeline() {
+    if (!this.timelineTrack) return;
+    const interactive = this.engine.canSeek() || this.engine.canLoop();
+    this.timelineTrack.classList.toggle('interactive', interactive);
+    this.timelineTrack.title = interactive
+      ? 'Click to seek, drag to set a loop, double-click to clear it'
+      : 'Estimated position - load the engine to seek';
+    this.updateTimeline();
+  }
+
+  onTimelineKeyDown(e) {
+    const { fraction } = this.engine.getPlayhead();
+    switch (e.key) {
+      case 'ArrowLeft':
+        this.engine.seek(fraction - 0.05);
+        break;
+      case 'ArrowRight':
+        this.engine.seek(fraction + 0.05);
+        break;
+      case 'Home':
+        this.engine.seek(0);
+        break;
+      case 'Escape':
+        this.engine.setLoop(null);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  setTimelineRunning(running) {
+    if (!this.timelineTrack) return;
+    clearInterval(this.timelineTimer);
+    this.timelineTimer = running ? setInterval(() => this.updateTimeline(), 100) : null;
+    this.updateTimeline();
+  }
+
+  updateTimeline() {
+    if (!this.timelineTrack) return;
+    const playhead = this.engine.getPlayhead();
+    const percent = playhead.fraction * 100;
+
+    this.timelinePlayhead.style.left = `${percent}%`;
+    this.timelineTrack.setAttribute('aria-valuenow', Math.round(percent));
+    this.timelineTrack.setAttribute('aria-valuetext', `${this.formatTime(playhead.source)} of ${this.formatTime(playhead.duration)}`);
+    this.timeSourceEl.textContent = `${this.formatTime(playhead.source)} / ${this.formatTime(playhead.duration)}`;
+    // Dilated is the time heard since play, across every stretch change
+    this.timeDilatedEl.textContent = this.formatTime(playhead.dilated);
+    this.timeFactorEl.textContent = `${playhead.factor}×`;
+    this.timeFactorEl.title = `One pass of the music takes ${this.formatTime(playhead.dilatedDuration)} at this stretch`;
+  }
+
+  drawTimelineLoop(loop) {
+    this.timelineLoop.hidden = !loop;
+    if (!loop) return;
+    this.timelineLoop.style.left = `${loop.start * 100}%`;
+    this.timelineLoop.style.width = `${(loop.end - loop.start) * 100}%`;
+  }
+
+  // ============================================
+  // Offline cache
+  // ============================================
+
+  // The service worker covers the app shell and RNBO runtime; engine data lives in IndexedDB
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+
+    navigator.serviceWorker.register('sw.js')
+      .then(registration => console.log('Service worker registered:', registration.scope))
+      .catch(error => console.warn('Service worker registration failed:', error));
+  }
+
+  // ============================================
+  // Sources - user audio in the stretch buffers
+  // ============================================
+
+  setupSources() {
+    this.sourceSlotsEl = this.getElement('sourceSlots');
+    this.sourceDropZone = this.getElement('sourceDropZone');
+    this.sourceFillInput = this.getElement('sourceFillFile');
+
+    if (!this.sourceSlotsEl) return;
+
+    // One file pre-rendered into every stretch slot
+    this.sourceFillInput.addEventListener('change', async () => {
+      const file = this.sourceFillInput.files[0];
+      this.sourceFillInput.value = '';
+      if (file) await this.fillAllSlots(file);
+    });
+
+    this.setupDropTarget(this.sourceDropZone, file => this.fillAllSlots(file));
+    this.setupLiveInput();
+  }
+
+  // Live input - the microphone, or a file played through an <audio> element, goes
+  // through the engine's effects and the knobs drive whichever chain it built
+  setupLiveInput() {
+    this.inputModeEl = this.getElement('inputMode');
+    this.inputFileEl = this.getElement('inputFile');
+    this.inputAudioEl = this.getElement('inputAudio');
+    this.inputMeterFill = this.getElement('inputMeterFill');
+    this.inputLevelEl = this.getElement('inputLevel');
+    this.inputWarningEl = this.getElement('inputWarning');
+    if (!this.inputModeEl) return;
+
+    this.inputModeEl.addEventListener('change', () => this.selectInputMode(this.inputModeEl.value));
+    this.inputFileEl.addEventListener('change', async () => {
+      const file = this.inputFileEl.files[0];
+      this.inputFileEl.value = '';
+      if (file) await this.playInputFile(file);
+    });
+    this.inputFileEl.addEventListener('cancel', () => this.syncInputMode());
+
+    this.engine.on('inputchange', e => this.onInputChange(e));
+    this.engine.on('inputlevel', e => this.onInputLevel(e));
+    this.engine.on('inputwarning', e => this.onInputWarning(e));
+  }
+
+  async selectInputMode(mode) {
+    if (mode === 'element') {
+      this.inputFileEl.click();
+      return;
+    }
+
+    try {
+      if (mode === 'microphone') {
+        this.statusText.textContent = 'Opening audio input...';
+        await this.engine.openMicrophone();
+      } else {
+        this.engine.closeInput();
+      }
+    } catch (error) {
+      console.error('Live input failed:', error);
+      this.statusText.textContent = 'Error: ' + error.message;
+      this.syncInputMode();
+    }
+  }
+
+  async playInputFile(file) {
+    try {
+      if (this.inputAudioEl.src) URL.revokeObjectURL(this.inputAudioEl.src);
+      this.inputAudioEl.src = URL.createObjectURL(file);
+      await this.engine.setInput(this.inputAudioEl);
+      await this.inputAudioEl.play();
+    } catch (error) {
+      console.error('Live input failed:', error);
+      this.statusText.textContent = 'Error: ' + error.message;
+      this.syncInputMode();
+    }
+  }
+
+  syncInputMode() {
+    const input = this.engine.liveInput;
+    this.inputModeEl.value = !input ? 'buffers' : input.kind === 'element' ? 'element' : 'microphone';
+  }
+
+  onInputChange({ mode, kind }) {
+    const live = mode === 'live';
+    this.syncInputMode();
+    this.inputAudioEl.hidden = kind !== 'element';
+    this.statusDot.classList.toggle('active', live || this.engine.isPlaying);
+
+    // The file player only plays while it is the input (the engine pauses it too)
+    if (kind !== 'element') this.inputAudioEl.pause();
+
+    if (live) {
+      // The visualizer and meters show the live chain too
+      this.setupAnalysis();
+      this.startVisualizer();
+      this.statusText.textContent = `Live input: ${kind === 'element' ? 'audio file' : 'microphone'}`;
+    } else {
+      this.onInputLevel({ peak: -Infinity });
+      this.statusText.textContent = this.engine.isPlaying ? 'Playing' : 'Live input closed';
+    }
+  }
+
+  onInputLevel({ peak }) {
+    this.inputMeterFill.style.width = `${this.dbToPercent(peak)}%`;
+    this.inputLevelEl.textContent = `${this.formatDb(peak)} dB`;
+  }
+
+  onInputWarning({ active }) {
+    this.inputWarningEl.hidden = !active;
+    if (active) this.statusText.textContent = 'Feedback detected on the live input';
+  }
+
+  setupDropTarget(element, onFile) {
+    element.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      element.classList.add('drag-over');
+    });
+    element.addEventListener('dragleave', () => element.classList.remove('drag-over'));
+    element.addEventListener('drop', (e) => {
+      e.preventDefault();
+      element.classList.remove('drag-over');
+      const file = e.dataTransfer.files[0];
+      if (file) onFile(file);
+    });
+  }
+
+  renderBufferSlots() {
+    if (!this.sourceSlotsEl) return;
+
+    this.sourceSlotsEl.innerHTML = '';
+    for (const desc of this.engine.getBufferDescriptions()) {
+      const bufferId = desc.id;
+      const info = this.engine.bufferInfo[bufferId];
+
+      const row = document.createElement('div');
+      row.className = 'source-slot';
+      row.dataset.buffer = bufferId;
+
+      const factor = document.createElement('span');
+      factor.className = 'source-factor';
+      factor.textContent = `${this.engine.getStretchFactor(bufferId)}×`;
+
+      const summary = document.createElement('span');
+      summary.className = 'source-summary';
+      summary.textContent = info
+        ? `${info.name} · ${this.formatTime(info.duration)} · ${info.channels}ch · ${info.sampleRate} Hz`
+          + (info.source ? ` · ${({ cache: 'cached', network: 'downloaded', shared: 'shared' })[info.source]}` : '')
+        : (this.engine.bufferFiles[bufferId] ? this.engine.bufferFiles[bufferId].split('/').pop() : 'Empty');
+      if (info && info.origin !== 'bundled') summary.classList.add('user');
+
+      const pick = document.createElement('label');
+      pick.className = 'preset-btn';
+      pick.textContent = 'Replace';
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = 'audio/*';
+      input.hidden = true;
+      input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (file) this.assignFileToSlot(bufferId, file);
+      });
+      pick.appendChild(input);
+
+      row.append(factor, summary, pick);
+      this.setupDropTarget(row, file => this.assignFileToSlot(bufferId, file));
+      this.sourceSlotsEl.appendChild(row);
+    }
+  }
+
+  async decodeFile(file) {
+    const context = await this.engine.ensureAudioContext();
+    const arrayBuffer = await file.arrayBuffer();
+    return context.decodeAudioData(arrayBuffer);
+  }
+
+  async assignFileToSlot(bufferId, file) {
+    try {
+      this.statusText.textContent = `Decoding ${file.name}...`;
+      const audioBuffer = await this.decodeFile(file);
+      await this.engine.assignBuffer(bufferId, audioBuffer, file.name, 'user');
+      this.statusText.textContent = `${file.name} → ${this.engine.getStretchFactor(bufferId)}×`;
+    } catch (error) {
+      console.error(`Failed to load ${file.name}:`, error);
+      this.statusText.textContent = `Error: could not decode ${file.name}`;
+    }
+  }
+
+  // Decodes one file and pre-renders a stretched copy for every slot (2×, 4×, 8×, 16×)
+  async fillAllSlots(file) {
+    if (this.isStretching) return;
+    this.isStretching = true;
+    this.progressContainer.classList.add('visible');
+
+    try {
+      this.statusText.textContent = `Decoding ${file.name}...`;
+      const source = await this.decodeFile(file);
+
+      const slots = this.engine.getBufferDescriptions().map(desc => desc.id);
+      const skipped = [];
+      for (const [i, bufferId] of slots.entries()) {
+        const factor = this.engine.getStretchFactor(bufferId);
+
+        // Checked before rendering - a slot that won't fit the budget keeps what it has
+        const bytes = this.getStretchedLength(source, factor) * source.numberOfChannels * Float32Array.BYTES_PER_ELEMENT;
+        if (!this.engine.fitsBufferBudget(bufferId, bytes)) {
+          skipped.push(factor);
+          continue;
+        }
+
+        this.statusText.textContent = `Rendering ${factor}× from ${file.name}`;
+        this.progressText.textContent = `${i + 1} / ${slots.length}`;
+
+        const stretched = factor === 1 ? source : await this.stretchAudioBuffer(source, factor, (fraction) => {
+          this.progressBar.style.width = `${((i + fraction) / slots.length) * 100}%`;
+        });
+
+        await this.engine.assignBuffer(bufferId, stretched, file.name, factor === 1 ? 'user' : 'rendered');
+      }
+
+      const filled = slots.length - skipped.length;
+      this.statusText.textContent = skipped.length
+        ? `${file.name} loaded into ${filled} of ${slots.length} slots - not enough memory for ${skipped.map(factor => factor + '×').join(', ')}`
+        : `${file.name} loaded into ${slots.length} slots`;
+    } catch (error) {
+      console.error('Fill from file failed:', error);
+      this.statusText.textContent = 'Error: ' + error.message;
+    } finally {
+      this.isStretching = false;
+      this.progressContainer.classList.remove('visible');
+    }
+  }
+
+  // Frames stretchAudioBuffer renders from source - one grain past the stretched length
+  getStretchedLength(source, factor) {
+    return factor === 1 ? source.length : Math.ceil(source.length * factor) + this.stretchGrainSize;
+  }
+
+  // Pitch-preserving granular overlap-add stretch. Hann grains are written at a
+  // fixed hop and read at hop / factor; runs in slices so the page stays responsive.
+  // A source must be longer than one grain, or no grain would fit and the output stays silent.
+  async stretchAudioBuffer(source, factor, onProgress) {
+    const grainSize = this.stretchGrainSize;
+    if (source.length <= grainSize) {
+      throw new Error(`Source too short to stretch (${source.length} samples, needs more than ${grainSize})`);
+    }
+
+    const synthesisHop = grainSize / 4;
+    const analysisHop = synthesisHop / factor;
+    const outLength = this.getStretchedLength(source, factor);
+
+    const hann = new Float32Array(grainSize);
+    for (let i = 0; i < grainSize; i++) {
+      hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / grainSize);
+    }
+    // Four Hann grains per window length overlap-add to a constant gain of 2
+    const gain = 0.5;
+
+    const output = this.engine.audioContext.createBuffer(source.numberOfChannels, outLength, source.sampleRate);
+    const grains = Math.floor((source.length - grainSize) / analysisHop);
+
+    for (let c = 0; c < source.numberOfChannels; c++) {
+      const input = source.getChannelData(c);
+      const out = output.getChannelData(c);
+
+      for (let g = 0; g < grains; g++) {
+        const readPos = Math.floor(g * analysisHop);
+        const writePos = g * synthesisHop;
+        for (let i = 0; i < grainSize; i++) {
+          out[writePos + i] += input[readPos + i] * hann[i] * gain;
+        }
+
+        if (g % 2000 === 0) {
+          onProgress((c + g / grains) / source.numberOfChannels);
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+    }
+
+    onProgress(1);
+    return output;
+  }
+
+  // ============================================
+  // MIDI
+  // ============================================
+
+  setupMidi() {
+    this.midiLearnBtn = this.getElement('midiLearn');
+    this.midiTransportBtn = this.getElement('midiLearnTransport');
+    this.midiStatus = this.getElement('midiStatus');
+    this.midiMappingList = this.getElement('midiMappings');
+
+    if (!this.midiLearnBtn) return;
+
+    if (!navigator.requestMIDIAccess) {
+      this.midiLearnBtn.disabled = true;
+      this.midiTransportBtn.disabled = true;
+      this.midiStatus.textContent = 'MIDI not supported in this browser';
+      this.renderMidiMappings();
+      return;
+    }
+
+    this.midiLearnBtn.addEventListener('click', async () => {
+      if (!this.midiAccess && !(await this.requestMidi())) return;
+      this.setMidiLearnMode(!this.midiLearnMode);
+    });
+
+    this.midiTransportBtn.addEventListener('click', async () => {
+      if (!this.midiAccess && !(await this.requestMidi())) return;
+      this.setMidiLearnMode(true);
+      this.setMidiLearnTarget('transport');
+    });
+
+    // Only ask for access up front when there are saved mappings to restore
+    if (this.midiMappings.length) this.requestMidi();
+    this.renderMidiMappings();
+  }
+
+  async requestMidi() {
+    try {
+      this.midiAccess = await navigator.requestMIDIAccess();
+      this.midiAccess.onstatechange = () => this.bindMidiInputs();
+      this.bindMidiInputs();
+      return true;
+    } catch (error) {
+      console.warn('MIDI access denied:', error);
+      this.midiStatus.textContent = 'MIDI access denied';
+      return false;
+    }
+  }
+
+  // Re-run on hot-plug so new controllers are picked up
+  bindMidiInputs() {
+    const inputs = [...this.midiAccess.inputs.values()];
+    for (const input of inputs) {
+      input.onmidimessage = (e) => this.onMidiMessage(e.data);
+    }
+    this.midiStatus.textContent = inputs.length
+      ? inputs.map(input => input.name).join(', ')
+      : 'No MIDI inputs';
+  }
+
+  setMidiLearnMode(enabled) {
+    this.midiLearnMode = enabled;
+    this.midiLearnBtn.classList.toggle('active', enabled);
+    this.container.classList.toggle('midi-learn', enabled);
+    if (!enabled) this.setMidiLearnTarget(null);
+  }
+
+  setMidiLearnTarget(target) {
+    this.container.querySelectorAll('.midi-learn-target').forEach(el => el.classList.remove('midi-learn-target'));
+    this.midiLearnTarget = target;
+
+    const element = this.getMidiTargetElement(target);
+    if (element) element.classList.add('midi-learn-target');
+  }
+
+  getMidiTargetElement(target) {
+    if (target === 'slider') return this.sliderTrack;
+    if (target === 'transport') return this.midiTransportBtn;
+    return target ? this.getElement(target) : null;
+  }
+
+  getMidiTargetLabel(target) {
+    if (target === 'slider') return 'Temporal Shift';
+    if (target === 'transport') return 'Play / Stop';
+    const knobData = this.knobs.get(target);
+    if (knobData && this.engine.parameterMap[knobData.param]) return this.engine.parameterMap[knobData.param].label;
+    return target;
+  }
+
+  onMidiMessage(data) {
+    const [status, number, rawValue = 0] = data;
+    const command = status & 0xf0;
+    const channel = (status & 0x0f) + 1;
+
+    let type;
+    let value;
+    if (command === 0xb0) {
+      type = 'cc';
+      value = rawValue;
+    } else if (command === 0x90 || command === 0x80) {
+      type = 'note';
+      value = command === 0x90 ? rawValue : 0;
+    } else {
+      return;
+    }
+
+    if (this.midiLearnMode && this.midiLearnTarget) {
+      // Note-offs shouldn't complete a learn
+      if (type === 'note' && value === 0) return;
+      this.addMidiMapping({ target: this.midiLearnTarget, type, channel, number });
+      return;
+    }
+
+    for (const mapping of this.midiMappings) {
+      if (mapping.type === type && mapping.channel === channel && mapping.number === number) {
+        this.applyMidiMapping(mapping, value);
+      }
+    }
+  }
+
+  addMidiMapping({ target, type, channel, number }) {
+    // One control per target, and a control drives only one target
+    this.midiMappings = this.midiMappings.filter(m =>
+      m.target !== target && !(m.type === type && m.channel === channel && m.number === number)
+    );
+    this.midiMappings.push({ target, type, channel, number, invert: false, softTakeover: type === 'cc' });
+
+    this.storeMidiMappings();
+    this.renderMidiMappings();
+    this.statusText.textContent = `MIDI ${type.toUpperCase()} ${number} → ${this.getMidiTargetLabel(target)}`;
+    this.setMidiLearnTarget(null);
+  }
+
+  removeMidiMapping(index) {
+    const [mapping] = this.midiMappings.splice(index, 1);
+    if (mapping) this.midiPickup.delete(this.midiMappingKey(mapping));
+    this.storeMidiMappings();
+    this.renderMidiMappings();
+  }
+
+  midiMappingKey(mapping) {
+    return `${mapping.type}:${mapping.channel}:${mapping.number}`;
+  }
+
+  applyMidiMapping(mapping, value) {
+    const key = this.midiMappingKey(mapping);
+    const pickup = this.midiPickup.get(key) || {};
+    this.midiPickup.set(key, pickup);
+
+    if (mapping.target === 'transport') {
+      // Toggle on note-on, or when a CC crosses the halfway point upwards
+      const pressed = value >= 64 || (mapping.type === 'note' && value > 0);
+      if (pressed && !pickup.pressed) this.togglePlayback();
+      pickup.pressed = pressed;
+      return;
+    }
+
+    let normalized = value / 127;
+    if (mapping.invert) normalized = 1 - normalized;
+
+    const current = mapping.target === 'slider'
+      ? this.temporalShiftValue
+      : (this.knobs.get(mapping.target) || {}).normalized;
+    if (current === undefined) return;
+
+    // Soft takeover - ignore the controller until it reaches the current value,
+    // and drop the pickup again if something else has moved the target since
+    if (mapping.softTakeover) {
+      const inSync = pickup.lastSent !== undefined && Math.abs(pickup.lastSent - current) < 1e-6;
+      if (!inSync) {
+        const crossed = pickup.lastIncoming !== undefined &&
+          (pickup.lastIncoming - current) * (normalized - current) <= 0;
+        pickup.lastIncoming = normalized;
+        if (!crossed && Math.abs(normalized - current) > 0.03) return;
+      }
+    }
+
+    if (mapping.target === 'slider') {
+      this.markHistory();
+      this.setTemporalShift(normalized);
+      this.recordAutomation('TimeStretch', this.getParameter('TimeStretch'));
+      pickup.lastSent = this.temporalShiftValue;
+    } else {
+      this.setKnobNormalized(mapping.target, normalized);
+      pickup.lastSent = this.knobs.get(mapping.target).normalized;
+    }
+    pickup.lastIncoming = normalized;
+  }
+
+  loadMidiMappings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.midiStorageKey) || '[]');
+      return Array.isArray(stored)
+        ? stored.filter(m => m && m.target && (m.type === 'cc' || m.type === 'note'))
+        : [];
+    } catch (error) {
+      console.warn('Could not read stored MIDI mappings:', error);
+      return [];
+    }
+  }
+
+  storeMidiMappings() {
+    try {
+      localStorage.setItem(this.midiStorageKey, JSON.stringify(this.midiMappings));
+    } catch (error) {
+      console.error('Could not save MIDI mappings:', error);
+    }
+  }
+
+  renderMidiMappings() {
+    if (!this.midiMappingList) return;
+
+    this.midiMappingList.innerHTML = '';
+    this.midiMappings.forEach((mapping, index) => {
+      const row = document.createElement('li');
+      row.className = 'midi-mapping';
+
+      const label = document.createElement('span');
+      label.className = 'midi-mapping-label';
+      label.textContent = `${mapping.type === 'cc' ? 'CC' : 'Note'} ${mapping.number} · ch ${mapping.channel} → ${this.getMidiTargetLabel(mapping.target)}`;
+
+      const toggle = (text, key) => {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'midi-mapping-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = mapping[key];
+        checkbox.addEventListener('change', () => {
+          mapping[key] = checkbox.checked;
+          this.midiPickup.delete(this.midiMappingKey(mapping));
+          this.storeMidiMappings();
+        });
+        wrapper.append(checkbox, text);
+        return wrapper;
+      };
+
+      const remove = document.createElement('button');
+      remove.className = 'automation-lane-remove';
+      remove.setAttribute('aria-label', 'Remove mapping');
+      remove.textContent = '×';
+      remove.addEventListener('click', () => this.removeMidiMapping(index));
+
+      row.append(label);
+      if (mapping.target !== 'transport') row.append(toggle('Invert', 'invert'), toggle('Soft', 'softTakeover'));
+      row.append(remove);
+      this.midiMappingList.appendChild(row);
+    });
+  }
+
+  // ============================================
+  // Presets
+  // ============================================
+
+  setupPresets() {
+    this.presetSelect = this.getElement('presetSelect');
+    this.presetSaveBtn = this.getElement('presetSave');
+    this.presetDeleteBtn = this.getElement('presetDelete');
+    this.presetImportBtn = this.getElement('presetImport');
+    this.presetExportBtn = this.getElement('presetExport');
+    this.presetFileInput = this.getElement('presetFile');
+
+    if (!this.presetSelect) return;
+
+    this.presetSelect.addEventListener('change', () => {
+      if (this.presetSelect.value) this.recallPreset(this.presetSelect.value);
+    });
+
+    this.presetSaveBtn.addEventListener('click', () => {
+      const current = this.getSelectedUserPresetName();
+      const name = window.prompt('Preset name', current || '');
+      if (name && name.trim()) this.savePreset(name.trim());
+    });
+
+    this.presetDeleteBtn.addEventListener('click', () => {
+      const name = this.getSelectedUserPresetName();
+      if (name) this.deletePreset(name);
+    });
+
+    this.presetExportBtn.addEventListener('click', () => this.exportPresets());
+
+    this.presetImportBtn.addEventListener('click', () => this.presetFileInput.click());
+    this.presetFileInput.addEventListener('change', async () => {
+      const file = this.presetFileInput.files[0];
+      this.presetFileInput.value = '';
+      if (file) await this.importPresets(file);
+    });
+
+    this.refreshPresetList();
+  }
+
+  // Snapshot of every engine parameter plus the Temporal Shift position.
+  // On_Off is transport state, not part of the sound, so it is left out.
+  captureState() {
+    const params = {};
+
+    for (const name of Object.keys(this.engine.parameterMap)) {
+      if (name === 'On_Off') continue;
+
+      const value = this.getParameter(name);
+      if (typeof value === 'number') params[name] = value;
+    }
+
+    const state = { params, temporalShift: this.temporalShiftValue };
+    if (this.macros.length) state.macros = this.serializeMacros();
+    return state;
+  }
+
+  // Apply a captured state to the knobs, the slider and the RNBO device together
+  applyState(state) {
+    if (!state || !state.params) return;
+
+    // The engine sends filter pairs together and paramchange moves the knobs
+    const { TimeStretch, ...params } = state.params;
+    this.engine.setState({ params });
+    this.scheduleHashUpdate();
+
+    // The stretch factor itself is portable; the slider position depends on how many
+    // factors the saving device could hold
+    if (typeof TimeStretch === 'number') {
+      this.setTemporalShift(this.stretchToNormalized(Math.min(TimeStretch, this.sliderMaxSteps + 1)));
+    } else if (typeof state.temporalShift === 'number') {
+      this.setTemporalShift(state.temporalShift);
+    }
+
+    // Presets saved with automation or macros bring them along
+    if (state.automation) this.loadAutomation(state.automation);
+    if (state.macros) this.setMacros(state.macros);
+  }
+
+  findKnobByParam(name) {
+    for (const knobData of this.knobs.values()) {
+      if (knobData.param === name) return knobData;
+    }
+    return null;
+  }
+
+  // Accepts our own preset format or an RNBO export preset ({ name, preset: { Param: { value } } })
+  normalizePreset(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string') return null;
+
+    if (raw.params && typeof raw.params === 'object') {
+      const params = {};
+      for (const [name, value] of Object.entries(raw.params)) {
+        if (this.engine.parameterMap[name] && typeof value === 'number') params[name] = value;
+      }
+      const preset = { name: raw.name, params };
+      if (typeof raw.temporalShift === 'number') preset.temporalShift = raw.temporalShift;
+      const automation = this.normalizeAutomation(raw.automation);
+      if (automation) preset.automation = automation;
+      const macros = this.normalizeMacros(raw.macros);
+      if (macros) preset.macros = macros;
+      return preset;
+    }
+
+    if (raw.preset && typeof raw.preset === 'object') {
+      const params = {};
+      for (const [name, entry] of Object.entries(raw.preset)) {
+        if (name === 'On_Off' || !this.engine.parameterMap[name]) continue;
+        if (entry && typeof entry.value === 'number') params[name] = entry.value;
+      }
+      return { name: raw.name, params };
+    }
+
+    return null;
+  }
+
+  loadFactoryPresets(presets) {
+    this.factoryPresets = (Array.isArray(presets) ? presets : [])
+      .map(p => this.normalizePreset(p))
+      .filter(Boolean);
+    this.refreshPresetList();
+  }
+
+  loadUserPresets() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.presetStorageKey) || '[]');
+      return Array.isArray(stored) ? stored.map(p => this.normalizePreset(p)).filter(Boolean) : [];
+    } catch (error) {
+      console.warn('Could not read stored presets:', error);
+      return [];
+    }
+  }
+
+  storeUserPresets() {
+    try {
+      localStorage.setItem(this.presetStorageKey, JSON.stringify(this.userPresets));
+    } catch (error) {
+      console.error('Could not save presets:', error);
+      this.statusText.textContent = 'Error: presets could not be saved';
+    }
+  }
+
+  savePreset(name) {
+    const preset = { name, ...this.captureState() };
+    if (this.hasAutomation()) preset.automation = this.serializeAutomation();
+    const existing = this.userPresets.findIndex(p => p.name === name);
+
+    if (existing >= 0) {
+      this.userPresets[existing] = preset;
+    } else {
+      this.userPresets.push(preset);
+    }
+
+    this.storeUserPresets();
+    this.refreshPresetList(`user:${name}`);
+    this.statusText.textContent = `Saved preset "${name}"`;
+  }
+
+  deletePreset(name) {
+    this.userPresets = this.userPresets.filter(p => p.name !== name);
+    this.storeUserPresets();
+    this.refreshPresetList();
+    this.statusText.textContent = `Deleted preset "${name}"`;
+  }
+
+  // Preset keys are "factory:<index>" or "user:<name>"
+  getPreset(key) {
+    const [source, ...rest] = key.split(':');
+    const id = rest.join(':');
+    if (source === 'factory') return this.factoryPresets[parseInt(id, 10)] || null;
+    if (source === 'user') return this.userPresets.find(p => p.name === id) || null;
+    return null;
+  }
+
+  recallPreset(key) {
+    const preset = this.getPreset(key);
+    if (!preset) return;
+
+    this.markHistory();
+    this.applyState(preset);
+    this.commitHistoryStep();
+    this.statusText.textContent = `Preset: ${preset.name}`;
+    if (this.presetDeleteBtn) this.presetDeleteBtn.disabled = !key.startsWith('user:');
+  }
+
+  getSelectedUserPresetName() {
+    const key = this.presetSelect ? this.presetSelect.value : '';
+    return key.startsWith('user:') ? key.slice(5) : null;
+  }
+
+  refreshPresetList(selectedKey) {
+    if (!this.presetSelect) return;
+
+    const previous = selectedKey || this.presetSelect.value;
+    this.presetSelect.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Presets…';
+    this.presetSelect.appendChild(placeholder);
+
+    const addGroup = (label, presets, keyFor) => {
+      if (!presets.length) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      presets.forEach((preset, i) => {
+        const option = document.createElement('option');
+        option.value = keyFor(preset, i);
+        option.textContent = preset.name;
+        group.appendChild(option);
+      });
+      this.presetSelect.appendChild(group);
+    };
+
+    addGroup('Factory', this.factoryPresets, (p, i) => `factory:${i}`);
+    addGroup('User', this.userPresets, p => `user:${p.name}`);
+
+    this.presetSelect.value = previous && this.getPreset(previous) ? previous : '';
+    this.presetDeleteBtn.disabled = !this.presetSelect.value.startsWith('user:');
+  }
+
+  exportPresets() {
+    const data = {
+      format: 'nassau-shift-presets',
+      version: 1,
+      presets: this.userPresets.length ? this.userPresets : [{ name: 'Current', ...this.captureState() }],
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    this.downloadBlob(blob, 'nassau-shift-presets.json');
+  }
+
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  async importPresets(file) {
+    try {
+      const data = JSON.parse(await file.text());
+
+      // Accept a preset file, a bare array, a single preset, or an RNBO export
+      const list = Array.isArray(data) ? data : (data.presets || [data]);
+      const imported = list.map(p => this.normalizePreset(p)).filter(Boolean);
+
+      if (!imported.length) throw new Error('No presets found in file');
+
+      for (const preset of imported) {
+        const existing = this.userPresets.findIndex(p => p.name === preset.name);
+        if (existing >= 0) {
+          this.userPresets[existing] = preset;
+        } else {
+          this.userPresets.push(preset);
+        }
+      }
+
+      this.storeUserPresets();
+      this.refreshPresetList();
+      this.statusText.textContent = `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`;
+    } catch (error) {
+      console.error('Preset import failed:', error);
+      this.statusText.textContent = 'Error: ' + error.message;
+    }
+  }
+
+  // ============================================
+  // Undo history and A/B compare
+  // ============================================
+
+  setupHistory() {
+    this.undoBtn = this.getElement('undoBtn');
+    this.redoBtn = this.getElement('redoBtn');
+    this.abSlotBtns = { A: this.getElement('abSlotA'), B: this.getElement('abSlotB') };
+    this.abCopyBtn = this.getElement('abCopy');
+
+    if (this.undoBtn) {
+      this.undoBtn.addEventListener('click', () => this.undo());
+      this.redoBtn.addEventListener('click', () => this.redo());
+    }
+
+    if (this.abCopyBtn) {
+      this.abSlotBtns.A.addEventListener('click', () => this.selectAbSlot('A'));
+      this.abSlotBtns.B.addEventListener('click', () => this.selectAbSlot('B'));
+      this.abCopyBtn.addEventListener('click', () => this.copyAbSlot('A', 'B'));
+    }
+
+    this.updateHistoryControls();
+  }
+
+  // What undo and A/B restore - the sound, without macros or automation
+  captureHistoryState() {
+    const { params, temporalShift } = this.captureState();
+    return { params, temporalShift };
+  }
+
+  isSameHistoryState(a, b) {
+    return JSON.stringify(a.params) === JSON.stringify(b.params);
+  }
+
+  // Opens a step before a user edit, or extends the open one. Unless the step is held
+  // by a drag, it closes once edits pause for historyIdleMs.
+  markHistory() {
+    if (!this.historyBefore) this.historyBefore = this.captureHistoryState();
+
+    clearTimeout(this.historyTimer);
+    if (!this.historyHeld) this.historyTimer = setTimeout(() => this.commitHistoryStep(), this.historyIdleMs);
+  }
+
+  // A drag is one step however long it lasts
+  holdHistoryStep() {
+    this.markHistory();
+    this.historyHeld = true;
+    clearTimeout(this.historyTimer);
+  }
+
+  releaseHistoryStep() {
+    this.historyHeld = false;
+    this.commitHistoryStep();
+  }
+
+  // Closes the open step; edits that ended where they started leave no step behind
+  commitHistoryStep() {
+    clearTimeout(this.historyTimer);
+    this.historyTimer = null;
+
+    const before = this.historyBefore;
+    this.historyBefore = null;
+    if (!before || this.isSameHistoryState(before, this.captureHistoryState())) return;
+
+    this.undoStack.push(before);
+    if (this.undoStack.length > this.historyLimit) this.undoStack.shift();
+    this.redoStack = [];
+    this.updateHistoryControls();
+  }
+
+  undo() {
+    this.stepHistory(this.undoStack, this.redoStack);
+  }
+
+  redo() {
+    this.stepHistory(this.redoStack, this.undoStack);
+  }
+
+  // applyState moves the knobs, the slider and the device together
+  stepHistory(from, to) {
+    if (this.historyHeld) return;
+    this.commitHistoryStep();
+
+    const state = from.pop();
+    if (!state) return;
+
+    to.push(this.captureHistoryState());
+    this.applyState(state);
+    this.updateHistoryControls();
+  }
+
+  updateHistoryControls() {
+    if (this.undoBtn) {
+      this.undoBtn.disabled = !this.undoStack.length;
+      this.redoBtn.disabled = !this.redoStack.length;
+    }
+
+    if (this.abCopyBtn) {
+      for (const [slot, button] of Object.entries(this.abSlotBtns)) {
+        button.classList.toggle('active', slot === this.abActive);
+        button.setAttribute('aria-pressed', slot === this.abActive);
+      }
+    }
+  }
+
+  // The slot being left keeps the current sound; a slot never used starts as a copy of it
+  selectAbSlot(slot) {
+    if (slot === this.abActive) return;
+
+    const current = this.captureHistoryState();
+    this.abSlots[this.abActive] = current;
+    this.abActive = slot;
+
+    const target = this.abSlots[slot] || current;
+    this.abSlots[slot] = target;
+    if (target !== current) {
+      this.markHistory();
+      this.applyState(target);
+      this.commitHistoryStep();
+    }
+
+    this.updateHistoryControls();
+    this.statusText.textContent = `Comparing: ${slot}`;
+  }
+
+  copyAbSlot(source, destination) {
+    const state = source === this.abActive ? this.captureHistoryState() : this.abSlots[source];
+    if (!state) return;
+
+    this.abSlots[destination] = state;
+    if (destination === this.abActive) {
+      this.markHistory();
+      this.applyState(state);
+      this.commitHistoryStep();
+    }
+    this.statusText.textContent = `Copied ${source} to ${destination}`;
+  }
+
+  // ============================================
+  // URL hash state
+  // ============================================
+
+  setupHashState() {
+    // Several instances on one page would fight over the hash
+    if (!this.useHashState) return;
+
+    // Restore before the device exists so initializeParameters() pushes the shared values
+    this.restoreStateFromHash();
+    this.hashSyncEnabled = true;
+
+    // A pasted link in the same tab only changes the hash, not the page
+    window.addEventListener('hashchange', () => this.restoreStateFromHash(), { signal: this.listenerController.signal });
+  }
+
+  // Parse "#LPF_Cutoff=1200&Rev_Mix=35&TimeStretch=3" into a state for applyState().
+  // Unknown names and non-numeric values are dropped, the rest clamped to parameterMap.
+  parseHashState(hash) {
+    const query = hash.replace(/^#/, '');
+    if (!query) return null;
+
+    const params = {};
+    for (const [name, raw] of new URLSearchParams(query)) {
+      const paramInfo = this.engine.parameterMap[name];
+      if (!paramInfo || name === 'On_Off') continue;
+
+      let value = parseFloat(raw);
+      if (!isFinite(value)) continue;
+
+      value = Math.max(paramInfo.min, Math.min(paramInfo.max, value));
+      if (name === 'TimeStretch') {
+        value = Math.max(1, Math.min(this.sliderMaxSteps + 1, Math.round(value)));
+      }
+      params[name] = value;
+    }
+
+    return Object.keys(params).length ? { params } : null;
+  }
+
+  restoreStateFromHash() {
+    const state = this.parseHashState(window.location.hash);
+    if (!state) return;
+
+    console.log('Restoring state from URL:', state.params);
+    this.applyState(state);
+  }
+
+  encodeHashState() {
+    const { params } = this.captureState();
+    return Object.entries(params)
+      .map(([name, value]) => `${name}=${parseFloat(value.toFixed(3))}`)
+      .join('&');
+  }
+
+  // Debounced so a knob drag rewrites the hash once it settles, and replaceState
+  // keeps every tick out of the browser history
+  scheduleHashUpdate() {
+    if (!this.hashSyncEnabled) return;
+
+    clearTimeout(this.hashUpdateTimer);
+    this.hashUpdateTimer = setTimeout(() => {
+      const url = `${window.location.pathname}${window.location.search}#${this.encodeHashState()}`;
+      history.replaceState(history.state, '', url);
+    }, 250);
+  }
+
+  // ============================================
+  // Visualizer
+  // ============================================
+
+  setupVisualizer() {
+    this.vizModeEl = this.getElement('vizMode');
+    this.vizFftEl = this.getElement('vizFftSize');
+    this.vizSmoothingEl = this.getElement('vizSmoothing');
+
+    if (this.vizModeEl) {
+      this.updateVisualizerControls();
+      this.vizModeEl.addEventListener('change', () => {
+        this.visualizer.mode = this.vizModeEl.value;
+        this.onVisualizerSettingsChange();
+      });
+      this.vizFftEl.addEventListener('change', () => {
+        this.getVisualizerSettings().fftSize = parseInt(this.vizFftEl.value, 10);
+        this.onVisualizerSettingsChange();
+      });
+      this.vizSmoothingEl.addEventListener('input', () => {
+        this.getVisualizerSettings().smoothing = parseFloat(this.vizSmoothingEl.value);
+        this.onVisualizerSettingsChange();
+      });
+    }
+
+    // Nothing to see in a background tab - stop drawing, pick up again on return
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.stopVisualizer();
+      } else if (this.engine.isSounding()) {
+        this.startVisualizer();
+      }
+    }, { signal: this.listenerController.signal });
+  }
+
+  loadVisualizerSettings() {
+    const defaults = {
+      mode: 'bars',
+      modes: {
+        bars: { fftSize: 256, smoothing: 0.8 },
+        scope: { fftSize: 2048, smoothing: 0.3 },
+        spectrogram: { fftSize: 4096, smoothing: 0 },
+        vectorscope: { fftSize: 2048, smoothing: 0.6 },
+      },
+    };
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.visualizerStorageKey) || '{}');
+      const modes = { ...defaults.modes };
+      for (const mode of Object.keys(modes)) {
+        modes[mode] = { ...modes[mode], ...((stored.modes && stored.modes[mode]) || {}) };
+      }
+      return { mode: modes[stored.mode] ? stored.mode : defaults.mode, modes };
+    } catch (error) {
+      console.warn('Could not read visualizer settings:', error);
+      return defaults;
+    }
+  }
+
+  storeVisualizerSettings() {
+    try {
+      localStorage.setItem(this.visualizerStorageKey, JSON.stringify(this.visualizer));
+    } catch (error) {
+      console.error('Could not save visualizer settings:', error);
+    }
+  }
+
+  getVisualizerSettings() {
+    return this.visualizer.modes[this.visualizer.mode];
+  }
+
+  onVisualizerSettingsChange() {
+    this.storeVisualizerSettings();
+    this.updateVisualizerControls();
+    this.applyVisualizerSettings();
+  }
+
+  updateVisualizerControls() {
+    const settings = this.getVisualizerSettings();
+    this.vizModeEl.value = this.visualizer.mode;
+    this.vizFftEl.value = settings.fftSize;
+    this.vizSmoothingEl.value = settings.smoothing;
+  }
+
+  // Frequency modes use smoothing as the analyser's smoothingTimeConstant; the
+  // time-domain modes (scope, vectorscope) use it as trail persistence
+  applyVisualizerSettings() {
+    if (!this.analyser) return;
+
+    const { fftSize, smoothing } = this.getVisualizerSettings();
+    const frequencyMode = this.visualizer.mode === 'bars' || this.visualizer.mode === 'spectrogram';
+    for (const analyser of [this.analyser, ...this.vizAnalysers]) {
+      analyser.fftSize = fftSize;
+      analyser.smoothingTimeConstant = frequencyMode ? smoothing : 0;
+    }
+
+    this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+    this.vizBuffers = {
+      frequency: new Float32Array(this.analyser.frequencyBinCount),
+      time: new Float32Array(fftSize),
+      left: new Float32Array(fftSize),
+      right: new Float32Array(fftSize),
+    };
+  }
+
+  // The vectorscope needs the channels apart; this.analyser sees the mono sum
+  setupVisualizerAnalysers() {
+    const splitter = this.engine.audioContext.createChannelSplitter(2);
+    this.engine.outputGain.connect(splitter);
+    this.vizAnalysers = [0, 1].map((channel) => {
+      const analyser = this.engine.audioContext.createAnalyser();
+      splitter.connect(analyser, channel);
+      return analyser;
+    });
+    this.applyVisualizerSettings();
+  }
+
+  startVisualizer() {
+    if (this.vizFrame || document.hidden) return;
+    this.vizFrame = requestAnimationFrame(() => this.drawVisualizer());
+  }
+
+  stopVisualizer() {
+    if (this.vizFrame) cancelAnimationFrame(this.vizFrame);
+    this.vizFrame = null;
+  }
+
+  drawVisualizer() {
+    this.vizFrame = null;
+    const width = this.canvas.width / (window.devicePixelRatio || 1);
+    const height = this.canvas.height / (window.devicePixelRatio || 1);
+
+    if (!this.engine.isSounding()) {
       // Clear canvas when stopped
       this.canvasCtx.fillStyle = 'rgba(20, 28, 38, 1)';
-      this.canvasCtx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+      this.canvasCtx.fillRect(0, 0, width, height);
       return;
     }
 
-    requestAnimationFrame(() => this.drawWaveform());
+    this.vizFrame = requestAnimationFrame(() => this.drawVisualizer());
 
-    this.analyser.getByteFrequencyData(this.dataArray);
+    switch (this.visualizer.mode) {
+      case 'scope':
+        this.drawScope(width, height);
+        break;
+      case 'spectrogram':
+        this.drawSpectrogram(width, height);
+        break;
+      case 'vectorscope':
+        this.drawVectorscope(width, height);
+        break;
+      default:
+        this.drawBars(width, height);
+    }
 
-    const width = this.canvas.width / window.devicePixelRatio;
-    const height = this.canvas.height / window.devicePixelRatio;
+    // Update level meters
+    this.updateMeters();
+  }
 
-    // Clear with fade effect
-    this.canvasCtx.fillStyle = 'rgba(20, 28, 38, 0.3)';
+  // Time-domain modes leave a trail: the higher the smoothing, the less each frame clears
+  fadeCanvas(width, height, persistence) {
+    this.canvasCtx.fillStyle = `rgba(20, 28, 38, ${1 - persistence * 0.9})`;
     this.canvasCtx.fillRect(0, 0, width, height);
+  }
 
-    // Draw frequency bars
-    const barWidth = width / this.dataArray.length * 2.5;
-    let x = 0;
+  drawBars(width, height) {
+    const ctx = this.canvasCtx;
+    this.analyser.getByteFrequencyData(this.dataArray);
+
+    // Clear with fade effect
+    ctx.fillStyle = 'rgba(20, 28, 38, 0.3)';
+    ctx.fillRect(0, 0, width, height);
+
+    // One full-height gradient, built per canvas size - each bar shows the part under it
+    if (!this.barGradient) {
+      this.barGradient = ctx.createLinearGradient(0, height, 0, height * 0.2);
+      this.barGradient.addColorStop(0, 'rgba(0, 210, 211, 0.8)');
+      this.barGradient.addColorStop(0.5, 'rgba(84, 160, 255, 0.6)');
+      this.barGradient.addColorStop(1, 'rgba(255, 107, 107, 0.4)');
+    }
+    ctx.fillStyle = this.barGradient;
 
-    for (let i = 0; i < this.dataArray.length; i++) {
+    // The top bins are mostly empty, so the bars cover the lower 40% of the spectrum
+    const bins = Math.ceil(this.dataArray.length * 0.4);
+    const barWidth = width / bins;
+    for (let i = 0; i < bins; i++) {
       const barHeight = (this.dataArray[i] / 255) * height * 0.8;
+      ctx.fillRect(i * barWidth, height - barHeight, Math.max(1, barWidth - 1), barHeight);
+    }
+  }
+
+  drawScope(width, height) {
+    const ctx = this.canvasCtx;
+    const samples = this.vizBuffers.time;
+    this.analyser.getFloatTimeDomainData(samples);
+    this.fadeCanvas(width, height, this.getVisualizerSettings().smoothing);
+
+    // Start on a rising zero crossing so the trace holds still
+    let start = 0;
+    const half = samples.length >> 1;
+    for (let i = 1; i < half; i++) {
+      if (samples[i - 1] < 0 && samples[i] >= 0) {
+        start = i;
+        break;
+      }
+    }
+
+    const count = samples.length - half;
+    ctx.strokeStyle = 'rgba(0, 210, 211, 0.9)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let i = 0; i < count; i++) {
+      const x = (i / (count - 1)) * width;
+      const y = height / 2 - samples[start + i] * height * 0.45;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  }
+
+  // Offscreen canvas in device pixels; each frame shifts it one column left and paints
+  // the newest spectrum into the last column
+  resizeSpectrogram() {
+    if (!this.canvas.width || !this.canvas.height) return;
+
+    const previous = this.spectrogramCanvas;
+    const canvas = document.createElement('canvas');
+    canvas.width = this.canvas.width;
+    canvas.height = this.canvas.height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    ctx.fillStyle = 'rgb(20, 28, 38)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (previous && previous.width && previous.height) {
+      ctx.drawImage(previous, 0, 0, canvas.width, canvas.height);
+    }
 
-      // Create gradient for each bar
-      const gradient = this.canvasCtx.createLinearGradient(0, height, 0, height - barHeight);
-      gradient.addColorStop(0, 'rgba(0, 210, 211, 0.8)');
-      gradient.addColorStop(0.5, 'rgba(84, 160, 255, 0.6)');
-      gradient.addColorStop(1, 'rgba(255, 107, 107, 0.4)');
+    this.spectrogramCanvas = canvas;
+    this.spectrogramColumn = ctx.createImageData(1, canvas.height);
+    this.spectrogramRows = null;
+
+    if (!this.spectrogramPalette) {
+      // Dark blue through teal and gold to white, 256 steps
+      const stops = [[20, 28, 38], [30, 60, 120], [0, 210, 211], [254, 180, 123], [255, 255, 255]];
+      this.spectrogramPalette = new Uint8ClampedArray(256 * 3);
+      for (let i = 0; i < 256; i++) {
+        const position = (i / 255) * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        const t = position - index;
+        for (let c = 0; c < 3; c++) {
+          this.spectrogramPalette[i * 3 + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * t;
+        }
+      }
+    }
+  }
 
-      this.canvasCtx.fillStyle = gradient;
-      this.canvasCtx.fillRect(x, height - barHeight, barWidth - 1, barHeight);
+  drawSpectrogram(width, height) {
+    if (!this.spectrogramCanvas) this.resizeSpectrogram();
+    const offscreen = this.spectrogramCanvas;
+    if (!offscreen) return;
+
+    const spectrum = this.vizBuffers.frequency;
+    this.analyser.getFloatFrequencyData(spectrum);
+
+    // Bin for every pixel row, on a log scale from 20 Hz to Nyquist (cached per size/FFT)
+    const rows = offscreen.height;
+    if (!this.spectrogramRows || this.spectrogramRows.length !== rows || this.spectrogramRowsBins !== spectrum.length) {
+      const nyquist = this.engine.audioContext.sampleRate / 2;
+      this.spectrogramRows = new Uint32Array(rows);
+      this.spectrogramRowsBins = spectrum.length;
+      for (let y = 0; y < rows; y++) {
+        const frequency = 20 * Math.pow(nyquist / 20, 1 - y / (rows - 1));
+        this.spectrogramRows[y] = Math.min(spectrum.length - 1, Math.round((frequency / nyquist) * spectrum.length));
+      }
+    }
 
-      x += barWidth;
+    const { minDecibels, maxDecibels } = this.analyser;
+    const pixels = this.spectrogramColumn.data;
+    for (let y = 0; y < rows; y++) {
+      const level = (spectrum[this.spectrogramRows[y]] - minDecibels) / (maxDecibels - minDecibels);
+      const color = Math.max(0, Math.min(255, Math.round(level * 255))) * 3;
+      pixels[y * 4] = this.spectrogramPalette[color];
+      pixels[y * 4 + 1] = this.spectrogramPalette[color + 1];
+      pixels[y * 4 + 2] = this.spectrogramPalette[color + 2];
+      pixels[y * 4 + 3] = 255;
     }
 
-    // Update level meters
-    const avgLevel = this.dataArray.reduce((a, b) => a + b, 0) / this.dataArray.length;
-    const levelPercent = (avgLevel / 255) * 100;
-    this.meterL.style.setProperty('--level', `${levelPercent}%`);
-    this.meterR.style.setProperty('--level', `${levelPercent * 0.9}%`);
+    const offscreenCtx = offscreen.getContext('2d');
+    offscreenCtx.drawImage(offscreen, -1, 0);
+    offscreenCtx.putImageData(this.spectrogramColumn, offscreen.width - 1, 0);
+
+    this.canvasCtx.drawImage(offscreen, 0, 0, width, height);
+  }
+
+  // Goniometer: mid (L+R) up, side (L-R) across, so mono is a vertical line
+  drawVectorscope(width, height) {
+    const ctx = this.canvasCtx;
+    if (this.vizAnalysers.length < 2) return;
+    const { left, right } = this.vizBuffers;
+    this.vizAnalysers[0].getFloatTimeDomainData(left);
+    this.vizAnalysers[1].getFloatTimeDomainData(right);
+    this.fadeCanvas(width, height, this.getVisualizerSettings().smoothing);
+
+    const cx = width / 2;
+    const cy = height / 2;
+    const scale = Math.min(width, height) * 0.45;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - scale);
+    ctx.lineTo(cx, cy + scale);
+    ctx.moveTo(cx - scale, cy);
+    ctx.lineTo(cx + scale, cy);
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(254, 180, 123, 0.7)';
+    for (let i = 0; i < left.length; i++) {
+      const side = (left[i] - right[i]) * Math.SQRT1_2;
+      const mid = (left[i] + right[i]) * Math.SQRT1_2;
+      ctx.fillRect(cx + side * scale, cy - mid * scale, 1, 1);
+    }
+  }
+
+  // ============================================
+  // Metering
+  // ============================================
+
+  // Splits the output into L/R analysers for peak/RMS, plus a K-weighted pair
+  // (BS.1770 pre-filter: +4 dB shelf at 1681 Hz, high-pass at 38 Hz) for loudness
+  setupMetering() {
+    const ctx = this.engine.audioContext;
+    const splitter = ctx.createChannelSplitter(2);
+    this.engine.outputGain.connect(splitter);
+
+    this.meterAnalysers = [];
+    this.loudnessAnalysers = [];
+
+    for (let channel = 0; channel < 2; channel++) {
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 2048;
+      splitter.connect(analyser, channel);
+      this.meterAnalysers.push(analyser);
+
+      const shelf = ctx.createBiquadFilter();
+      shelf.type = 'highshelf';
+      shelf.frequency.value = 1681;
+      shelf.gain.value = 4;
+
+      const highpass = ctx.createBiquadFilter();
+      highpass.type = 'highpass';
+      highpass.frequency.value = 38;
+      highpass.Q.value = 0.5;
+
+      const loudness = ctx.createAnalyser();
+      loudness.fftSize = 2048;
+      splitter.connect(shelf, channel);
+      shelf.connect(highpass);
+      highpass.connect(loudness);
+      this.loudnessAnalysers.push(loudness);
+    }
+
+    this.meterBuffer = new Float32Array(2048);
+    this.resetMeters();
+  }
+
+  resetMeters() {
+    this.meterState = {
+      peakHold: [-Infinity, -Infinity],
+      peakHoldTime: [0, 0],
+      rms: [-Infinity, -Infinity],
+      loudness: [],
+      clipped: this.meterState ? this.meterState.clipped : false,
+    };
+  }
+
+  resetClip() {
+    if (this.meterState) this.meterState.clipped = false;
+    if (this.clipIndicator) this.clipIndicator.classList.remove('clipped');
+  }
+
+  toDb(linear) {
+    return linear > 0 ? 20 * Math.log10(linear) : -Infinity;
+  }
+
+  formatDb(db) {
+    return isFinite(db) ? db.toFixed(1) : '-∞';
+  }
+
+  // -60..0 dBFS onto the meter height
+  dbToPercent(db) {
+    return isFinite(db) ? Math.max(0, Math.min(100, ((db + 60) / 60) * 100)) : 0;
+  }
+
+  updateMeters() {
+    if (!this.meterAnalysers.length || !this.meterState) return;
+
+    const now = performance.now();
+    const state = this.meterState;
+    const meters = [this.meterL, this.meterR];
+    const buffer = this.meterBuffer;
+    const peaks = [];
+    let meanSquareSum = 0;
+
+    for (let channel = 0; channel < 2; channel++) {
+      this.meterAnalysers[channel].getFloatTimeDomainData(buffer);
+
+      let peak = 0;
+      let sumSquares = 0;
+      for (let i = 0; i < buffer.length; i++) {
+        const sample = Math.abs(buffer[i]);
+        if (sample > peak) peak = sample;
+        sumSquares += buffer[i] * buffer[i];
+      }
+
+      if (peak >= 0.999) state.clipped = true;
+
+      const peakDb = this.toDb(peak);
+      peaks.push(peakDb);
+
+      // Hold the peak for 1.5 s, then let it fall at 20 dB/s
+      if (peakDb >= state.peakHold[channel] || now - state.peakHoldTime[channel] > 1500) {
+        const fallen = state.peakHold[channel] - 20 * (1 / 60);
+        state.peakHold[channel] = peakDb >= fallen ? peakDb : fallen;
+        if (peakDb >= fallen) state.peakHoldTime[channel] = now;
+      }
+
+      // RMS smoothed over roughly 300 ms
+      const rmsDb = this.toDb(Math.sqrt(sumSquares / buffer.length));
+      state.rms[channel] = isFinite(state.rms[channel]) ? state.rms[channel] * 0.8 + rmsDb * 0.2 : rmsDb;
+
+      this.loudnessAnalysers[channel].getFloatTimeDomainData(buffer);
+      let kSquares = 0;
+      for (let i = 0; i < buffer.length; i++) kSquares += buffer[i] * buffer[i];
+      meanSquareSum += kSquares / buffer.length;
+
+      meters[channel].style.setProperty('--level', `${this.dbToPercent(peakDb)}%`);
+      meters[channel].style.setProperty('--hold', `${this.dbToPercent(state.peakHold[channel])}%`);
+    }
+
+    // Short-term loudness over a 3 s window of analyser snapshots
+    state.loudness.push({ time: now, meanSquare: meanSquareSum });
+    while (state.loudness.length && now - state.loudness[0].time > 3000) state.loudness.shift();
+    const meanSquare = state.loudness.reduce((sum, entry) => sum + entry.meanSquare, 0) / state.loudness.length;
+    const lufs = meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity;
+
+    if (this.readPeak) {
+      this.readPeak.textContent = `${this.formatDb(state.peakHold[0])} / ${this.formatDb(state.peakHold[1])}`;
+      this.readRms.textContent = `${this.formatDb(state.rms[0])} / ${this.formatDb(state.rms[1])}`;
+      this.readLufs.textContent = this.formatDb(lufs);
+      this.clipIndicator.classList.toggle('clipped', state.clipped);
+    }
+
+    // atten and compens arrive from the Comp subpatchers as dB; show the magnitude
+    // of the attenuation on a 0-24 dB scale
+    if (this.readGr) {
+      const reduction = Math.abs(this.gainReduction.atten);
+      this.grFill.style.width = `${Math.min(100, (reduction / 24) * 100)}%`;
+      this.readGr.textContent = `-${reduction.toFixed(1)} dB`;
+      this.readGr.title = `Makeup ${this.gainReduction.compens.toFixed(1)} dB`;
+    }
   }
 }
 
-// Initialize when DOM is ready
+// Initialize on the page's own markup when DOM is ready; pages embedding the engine
+// without a data-nassau-shift container create their own NassauShift or NassauEngine
 document.addEventListener('DOMContentLoaded', () => {
-  window.nassauShift = new NassauShift();
+  const container = document.querySelector('[data-nassau-shift]');
+  if (container) window.nassauShift = new NassauShift({ container, manifestUrl: 'patchers.json' });
 });
@@ -0,0 +1,146 @@
+/**
+ * Nassau Shift - <nassau-shift> custom element
+ * The full interface in a Shadow DOM, so it can be dropped into any page:
+ *
+ *   <script src="https://cdn.cycling74.com/rnbo/1.4.2/rnbo.min.js"></script>
+ *   <script src="nassau/nassau-engine.js"></script>
+ *   <script src="nassau/app.js"></script>
+ *   <script src="nassau/nassau-element.js"></script>
+ *
+ *   <nassau-shift params="LPF_Cutoff=1200&Rev_Mix=30"></nassau-shift>
+ *
+ * The markup comes from index.html and the styles from styles.css, both next to
+ * this script. The page loads the Inter font itself (fonts don't load from
+ * inside a shadow root).
+ *
+ * Attributes:
+ *   patcher      RNBO export to load (default: chosen from patchers.json next to this script)
+ *   media-base   folder holding the NassauMusic_*.mp3 files (default media/ next to this script)
+ *   params       initial values in the URL hash format; changing it later applies the values
+ *
+ * Every instance on a page shares one AudioContext and the decoded buffers.
+ * element.ready resolves to the NassauShift controller once it's built (removing
+ * the element destroys the controller and starts a new ready); its
+ * paramchange, statechange, loadprogress and error events are re-dispatched on
+ * the element as 'nassau-<event>' CustomEvents with the payload as detail.
+ */
+
+// Captured now - document.currentScript is only set while this script runs
+const NASSAU_ELEMENT_BASE = new URL('.', document.currentScript ? document.currentScript.src : document.baseURI).href;
+
+class NassauShiftElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['params'];
+  }
+
+  // Fetched once for every instance on the page
+  static loadMarkup() {
+    if (!NassauShiftElement.markup) {
+      NassauShiftElement.markup = fetch(NASSAU_ELEMENT_BASE + 'index.html')
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status} loading index.html`);
+          return response.text();
+        })
+        .then((html) => {
+          const template = new DOMParser().parseFromString(html, 'text/html').querySelector('[data-nassau-shift]');
+          if (!template) throw new Error('index.html has no [data-nassau-shift] container');
+          template.removeAttribute('data-nassau-shift');
+          return template;
+        });
+      // Let a later instance try again after a failure
+      NassauShiftElement.markup.catch(() => { NassauShiftElement.markup = null; });
+    }
+    return NassauShiftElement.markup;
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.controller = null;
+    this.createReady();
+  }
+
+  // Settled by the next build
+  createReady() {
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+    // Failures are logged; pages that care await ready themselves
+    this.ready.catch(() => {});
+  }
+
+  async connectedCallback() {
+    // Moving the element around the page keeps the existing controller
+    if (this.controller || this.building) return;
+    this.building = true;
+
+    try {
+      const template = await NassauShiftElement.loadMarkup();
+
+      const style = document.createElement('link');
+      style.rel = 'stylesheet';
+      style.href = NASSAU_ELEMENT_BASE + 'styles.css';
+      const container = document.importNode(template, true);
+      this.shadowRoot.append(style, container);
+
+      this.controller = new NassauShift({
+        container,
+        patcherUrl: this.hasAttribute('patcher')
+          ? new URL(this.getAttribute('patcher'), document.baseURI).href
+          : NASSAU_ELEMENT_BASE + 'nassau_engine.export.json',
+        manifestUrl: this.hasAttribute('patcher') ? null : NASSAU_ELEMENT_BASE + 'patchers.json',
+        mediaBase: this.hasAttribute('media-base')
+          ? new URL(this.getAttribute('media-base'), document.baseURI).href
+          : NASSAU_ELEMENT_BASE + 'media/',
+        params: this.getAttribute('params'),
+        shared: NassauShiftElement.shared,
+        baseUrl: NASSAU_ELEMENT_BASE,
+        hashState: false,
+        serviceWorker: false,
+      });
+
+      ['paramchange', 'statechange', 'loadprogress', 'error'].forEach((event) => {
+        this.controller.on(event, (detail) => {
+          this.dispatchEvent(new CustomEvent(`nassau-${event}`, { detail }));
+        });
+      });
+
+      this.resolveReady(this.controller);
+    } catch (error) {
+      console.error('Failed to build <nassau-shift>:', error);
+      this.rejectReady(error);
+    } finally {
+      this.building = false;
+    }
+  }
+
+  // Moving the element disconnects and reconnects it in one go, so the controller is only
+  // destroyed if the element is still out of the page once that has run. Putting it
+  // back later builds a new one.
+  disconnectedCallback() {
+    if (!this.controller) return;
+    queueMicrotask(() => {
+      if (this.isConnected || !this.controller) return;
+      this.controller.destroy();
+      this.controller = null;
+      this.shadowRoot.replaceChildren();
+      this.createReady();
+    });
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name !== 'params' || !this.controller || !newValue) return;
+    // Still used by init if the parameter model isn't loaded yet
+    this.controller.initialParams = newValue;
+    this.controller.applyState(this.controller.parseHashState(newValue));
+  }
+}
+
+// One AudioContext and one copy of each decoded file for the whole page
+NassauShiftElement.shared = { context: null, buffers: {} };
+NassauShiftElement.markup = null;
+
+if (!customElements.get('nassau-shift')) {
+  customElements.define('nassau-shift', NassauShiftElement);
+}
@@ -0,0 +1,2501 @@
+/**
+ * Nassau Shift - Headless engine
+ * The RNBO device, its stretch buffers, the offline cache and Temporal Shift
+ * transitions, with no markup of its own. NassauShift (app.js) is the UI on top
+ * of it; other pages can drive it directly:
+ *
+ *   const engine = new NassauEngine({ patcherUrl: 'nassau/nassau_engine.export.json' });
+ *   engine.on('statechange', ({ state }) => console.log(state));
+ *   button.addEventListener('click', async () => {
+ *     await engine.load();    // creates the AudioContext, so call it from a user gesture
+ *     engine.setParam('LPF_Cutoff', 1200);
+ *     engine.play();
+ *   });
+ *
+ * Options (all optional):
+ *   patcherUrl        RNBO export to load when there's no manifest
+ *   manifestUrl       JSON list of exports to choose from:
+ *                     { default, patchers: [{ id, name, url }] }, urls relative to the manifest
+ *   patcherId         manifest entry to load (default: the manifest's default, else the first)
+ *   runtimeUrl        where to load a matching RNBO runtime from, {version} filled in
+ *   requires          { parameters, outports } the host UI relies on - checked against the
+ *                     export before anything is built on it
+ *   bufferFiles       { dataBufferId: url } for the stretch buffers
+ *   mediaBase         folder holding the bundled NassauMusic_*.mp3 (default 'media/'),
+ *                     used when bufferFiles isn't given
+ *   context           AudioContext to share with the host page
+ *   shared            { context: null, buffers: {} } - pass the same object to several
+ *                     engines to give them one AudioContext and one decoded copy of each file
+ *   prefetch          'next' (default) caches the factor above the selected one ahead of
+ *                     the slider, 'all' every factor the device can hold, false nothing
+ *   destination       node the output connects to (default context.destination)
+ *   parameterDisplay  { name: { label, format, taper } } overrides
+ *   smoothing         { name: ms } ramp time overrides (0 = jump)
+ *   modulators        [{ shape, rate, depth, phase, target }] initial LFO settings
+ *   transition        Temporal Shift transition settings (see this.transition)
+ *   canDrift          () => boolean, checked before each auto-drift step
+ *
+ * API: load(), play(), stop(), setParam(name, value), getParam(name),
+ * scheduleParam(name, value, time), cancelScheduledParams(),
+ * getState() -> { params, playing }, setState({ params, playing }),
+ * loadManifest(), selectPatcher(id) (before load only),
+ * getPlayhead(), seek(fraction), setLoop(start, end) (through the patcher's seek and
+ * loop inports, or host-side by handing the device a moved copy of the buffer playing),
+ * setModulator(index, settings), getModulators(),
+ * openMicrophone(deviceId), setInput(stream | mediaElement), closeInput(),
+ * on(event, listener) -> unsubscribe, off(event, listener).
+ *
+ * Events:
+ *   paramchange     { name, value }
+ *   statechange     { state: 'idle' | 'loading' | 'ready' | 'playing' | 'stopped' }
+ *   loadprogress    { bufferId, factor, state, progress }
+ *   error           { error, stage: 'load' | 'buffer', bufferId }
+ *   parametermodel  { parameters } - parameterMap was (re)built
+ *   patcherchange   { id } - another manifest entry was selected
+ *   seek            { fraction } - playback jumped to a point in the buffer
+ *   loopchange      { loop: { start, end } | null } - loop region as buffer fractions
+ *   compatibility   { problems } - what the export lacks ([] when it has everything),
+ *                   as { kind, name, issue, fatal }
+ *   stretchlimit    { max } - highest TimeStretch value this device can hold
+ *   bufferchange    { bufferId } - a data buffer was filled or released
+ *   message         { tag, payload } - outport messages from the patcher
+ *   modulation      { values } - modulated output of each modulated parameter, every
+ *                   modulation tick while playing ({} once modulation stops)
+ *   modulatorchange { index } - an LFO's settings changed
+ *   inputchange     { mode: 'buffers' | 'live', kind } - live input opened or closed
+ *   inputlevel      { peak, rms } - live input level in dBFS, 20 times a second
+ *   inputwarning    { type: 'feedback', active } - the input looks like acoustic feedback
+ */
+
+class NassauEngine {
+  constructor(options = {}) {
+    this.audioContext = options.context || null;
+    this.destination = options.destination || null;
+    this.device = null;
+    this.isPlaying = false;
+    this.isLoaded = false;
+    this.state = 'idle';
+    this.loadPromise = null;
+    this.listeners = {};
+
+    // Display formatting and labels only - index, range, steps, exponent and
+    // initial value come from the RNBO export (see buildParameterModel).
+    // taper bends the knob travel exponentially (0 = linear) so the low range
+    // of the cutoffs gets most of the rotation.
+    this.parameterDisplay = {
+      'LPF_Cutoff': { label: 'Barometric Pressure', taper: 5.4, format: v => `${Math.round(v)} Hz` },
+      'HPF_Cutoff': { label: 'Sea Level', taper: 5.4, format: v => `${Math.round(v)} Hz` },
+      'HPF_Res': { label: 'PH Balance', format: v => `${Math.round(v * 100)}%` },
+      'Room_Size': { label: 'Canyon Width', format: v => `${Math.round(v)}%` },
+      'LPF_Res': { label: 'UV', format: v => `${Math.round(v * 100)}%` },
+      'Rev_Mix': { label: 'Canyon Exposure', format: v => `${Math.round(v)}%` },
+      'Rev_Damp': { label: 'Canyon Mud', format: v => `${Math.round(v)}%` },
+      'On_Off': { label: 'Power', format: v => v > 0.5 ? 'On' : 'Off' },
+      'TimeStretch': { label: 'Time Dilation Factor', format: v => `${Math.pow(2, Math.round(v) - 1)}×` },
+      'Rev_Decay': { label: 'Canyon Length', format: v => `${Math.round(v)}%` },
+      'Rev_Jitter': { label: 'Canyon Winds', format: v => `${Math.round(v)}%` },
+      ...(options.parameterDisplay || {}),
+    };
+
+    // Parameter model, keyed by name - built from the export's parameter descriptions
+    this.parameterMap = {};
+
+    // Last value set for every parameter
+    this.paramValues = {};
+
+    // Parameter smoothing - while playing, continuous parameters glide to a new value
+    // over their ramp time (ms) instead of jumping. Every write goes through one queue of
+    // events stamped on the audio clock (ramps as control-rate steps), written to the
+    // device's parameters as they fall due. paramChanges are base values scheduled ahead
+    // (automation), taken into paramValues as they fall due. Callers queue values
+    // scheduleAheadMs ahead - longer while the tab is hidden and timers are throttled.
+    this.smoothing = {
+      'LPF_Cutoff': 40,
+      'HPF_Cutoff': 40,
+      'LPF_Res': 40,
+      'HPF_Res': 40,
+      'Rev_Mix': 60,
+      'Room_Size': 120,
+      'Rev_Damp': 80,
+      'Rev_Decay': 120,
+      'Rev_Jitter': 80,
+      ...(options.smoothing || {}),
+    };
+    this.controlRateMs = 10;
+    this.scheduleAheadMs = 50;
+    this.hiddenScheduleAheadMs = 1500;
+    this.controlTimer = null;
+    this.paramChanges = [];
+    this.paramQueue = [];
+    this.paramSeq = 0;
+    this.deviceValues = {};
+
+    // Modulation - LFOs added to the base values on the way to the device. depth is a
+    // fraction of the target's range; the base (paramValues) is never changed.
+    this.lfoShapes = ['sine', 'triangle', 'square', 'sample-hold', 'smooth-random'];
+    this.modulators = Array.from({ length: 4 }, (_, i) => this.normalizeModulator({
+      shape: 'sine', rate: 0.25, depth: 0, phase: 0, target: null,
+      ...((options.modulators || [])[i] || {}),
+    }));
+    this.modulationRateMs = 20;
+    this.modulationTimer = null;
+    this.modulationOffsets = {};
+
+    this.patcherUrl = options.patcherUrl || 'nassau_engine.export.json';
+    this.patcher = null;
+    this.patcherSource = null;
+
+    // Several exports can be offered through a manifest; one is chosen before load
+    this.manifestUrl = options.manifestUrl || null;
+    this.manifest = null;
+    this.patcherId = options.patcherId || null;
+
+    // The RNBO runtime has to match the version an export was made with
+    this.runtimeUrl = options.runtimeUrl || 'https://cdn.cycling74.com/rnbo/{version}/rnbo.min.js';
+    this.rnbo = null;
+
+    // What the engine and its host UI can't work without. Data buffers are checked
+    // against bufferFiles.
+    const requires = options.requires || {};
+    this.requirements = {
+      parameters: [...new Set(['On_Off', 'TimeStretch', ...(requires.parameters || [])])],
+      outports: requires.outports || [],
+    };
+    this.patcherProblems = [];
+
+    // Offline cache - engine export and media in IndexedDB, tagged with the engine build
+    this.cacheDbName = 'nassau-shift';
+    this.cacheStoreName = 'assets';
+    this.cacheDb = null;
+    this.cacheVersion = null;
+
+    // Buffer file mappings - loaded lazily, one stretch factor at a time
+    const mediaBase = (options.mediaBase || 'media').replace(/\/?$/, '/');
+    this.bufferFiles = options.bufferFiles || {
+      'b_NassauMusic_1B_mp3': `${mediaBase}NassauMusic_1B.mp3`,
+      'b_NassauMusic_2B_mp3': `${mediaBase}NassauMusic_2B.mp3`,
+      'b_NassauMusic_4B_mp3': `${mediaBase}NassauMusic_4B.mp3`,
+      'b_NassauMusic_8B_mp3': `${mediaBase}NassauMusic_8B.mp3`,
+      'b_NassauMusic_16B_mp3': `${mediaBase}NassauMusic_16B.mp3`,
+    };
+
+    // { context, buffers } held in common by several engines on one page - the first
+    // to load creates the AudioContext, and each bundled file is decoded once. loads
+    // holds decodes still in flight, by URL, so a second engine waits for the first.
+    this.shared = options.shared || null;
+    if (this.shared && !this.shared.loads) this.shared.loads = {};
+
+    // Adaptive buffer loading - the budget comes from navigator.deviceMemory, the limit
+    // is lowered (and remembered) when a decode fails or crashes the page
+    this.bufferLimitKey = 'nassauShift.bufferLimit';
+    this.bufferLimit = this.loadBufferLimit();
+    this.bufferBudget = this.getMemoryBudget();
+    this.bufferBaseBytes = 0;
+    this.bufferStates = {};
+    this.bufferProgress = {};
+    this.bufferErrors = {};
+    this.bufferLoads = {};
+    this.bufferDownloads = {};
+
+    // Loading pipeline - downloads share a bounded pool, everything in flight shares one
+    // AbortController so Cancel stops it all
+    this.fetchPoolSize = 3;
+    this.fetchActive = 0;
+    this.fetchQueue = [];
+    this.loadController = null;
+    this.fetchRetries = 3;
+    this.decodeTimeoutMs = 60000;
+    this.prefetch = options.prefetch !== undefined ? options.prefetch : 'next';
+    this.targetStretch = 1;
+    this.soundingStretch = 1;
+    this.approachingStretch = null;
+
+    // Temporal Shift transitions - 'crossfade' (see runStretchTransition) or 'cut'. The
+    // source clock estimates where in the (unstretched) music playback is, for bar sync.
+    this.transition = {
+      mode: 'crossfade',
+      fadeMs: 250,
+      quantize: false,
+      bpm: 120,
+      beatsPerBar: 4,
+      drift: false,
+      driftSeconds: 30,
+      ...(options.transition || {}),
+    };
+    this.transition.mode = this.getTransitionMode(this.transition.mode);
+    this.canDrift = options.canDrift || (() => true);
+    this.stretchDebounceMs = 120;
+    this.stretchTimer = null;
+    this.stretchTail = null;
+    this.tailChain = null;
+    this.pendingStretch = null;
+    this.sourceClock = { time: 0, position: 0, elapsed: 0 };
+    this.loopRegion = null;
+    this.bufferView = null;
+    this.viewBufferId = null;
+    this.bufferViewUpdate = Promise.resolve();
+    this.driftTimer = null;
+    this.driftDirection = 1;
+    this.outputGain = null;
+    this.deviceGain = null;
+
+    // Live input - a microphone, stream or media element played through the effects.
+    // The export has no signal inlets, so unless the device has inputs the sound goes
+    // through a Web Audio chain that follows the same parameters (see buildLiveChain).
+    this.liveInput = null;
+    this.liveChain = null;
+    this.inputAnalyser = null;
+    this.inputMeterTimer = null;
+    this.mediaSources = new WeakMap();
+    this.feedbackBin = -1;
+    this.feedbackSince = null;
+    this.feedbackWarning = false;
+
+    // Decoded buffers by data buffer id - kept so offline renders can reuse them
+    this.audioBuffers = {};
+
+    // User-supplied buffers override bufferFiles for their slot; bufferInfo holds the
+    // per-slot summary (file, duration, format, where it came from)
+    this.userBuffers = {};
+    this.bufferInfo = {};
+
+    // Leaving the page mid-decode isn't a crash - don't hold it against the buffer limit
+    window.addEventListener('pagehide', () => {
+      if (this.bufferLimit.pending) this.storeBufferLimit({ ...this.bufferLimit, pending: null });
+    });
+  }
+
+  // ============================================
+  // Events
+  // ============================================
+
+  on(event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this.listeners[event] = (this.listeners[event] || []).filter(l => l !== listener);
+  }
+
+  // A throwing listener is logged rather than allowed to break the engine
+  emit(event, detail) {
+    for (const listener of this.listeners[event] || []) {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`${event} listener failed:`, error);
+      }
+    }
+  }
+
+  changeState(state) {
+    this.state = state;
+    this.emit('statechange', { state });
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  // Creates the AudioContext (if none was passed in) and the device, then loads 1×.
+  // Calls while a load is running share it.
+  load() {
+    if (this.isLoaded) return Promise.resolve();
+    if (!this.loadPromise) {
+      this.loadPromise = this.initAudio().finally(() => {
+        this.loadPromise = null;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  async play() {
+    if (!this.device || this.isPlaying) return;
+
+    // Resume audio context if suspended (REQUIRED for iOS - must be in response to user gesture)
+    if (this.audioContext.state === 'suspended') {
+      try {
+        await this.audioContext.resume();
+        console.log('AudioContext resumed, state:', this.audioContext.state);
+      } catch (e) {
+        console.error('Failed to resume AudioContext:', e);
+      }
+    }
+
+    // Land every parameter on the device, in delivery order, before turning on
+    this.settleParameters();
+
+    // Turn on the device
+    this.isPlaying = true;
+    this.setParam('On_Off', 1);
+    this.resetSourceClock();
+    this.startAutoDrift();
+    this.startModulation();
+
+    this.changeState('playing');
+  }
+
+  stop() {
+    if (!this.device || !this.isPlaying) return;
+
+    this.isPlaying = false;
+
+    // Turn off the device
+    this.setParam('On_Off', 0);
+    this.stopAutoDrift();
+    if (!this.liveInput) this.stopModulation();
+
+    // A transition still waiting for its bar lands now, without a fade
+    if (this.pendingStretch !== null) this.setTimeStretch(this.pendingStretch, true);
+    this.cancelStretchTransition();
+
+    this.changeState('stopped');
+  }
+
+  setParam(name, value) {
+    const paramInfo = this.parameterMap[name];
+    if (!paramInfo || typeof value !== 'number' || !isFinite(value)) return;
+
+    // TimeStretch only responds to whole factors, and only to those this device can hold
+    if (name === 'TimeStretch') {
+      value = this.quantizeValue(paramInfo, Math.max(paramInfo.min, Math.min(this.getAvailableStretch(), value)));
+      this.setTimeStretch(value);
+      this.updateBufferWindow(value - paramInfo.min);
+      return;
+    }
+
+    value = this.quantizeValue(paramInfo, Math.max(paramInfo.min, Math.min(paramInfo.max, value)));
+    this.paramChanges = this.paramChanges.filter(change => change.name !== name);
+    this.paramValues[name] = value;
+    console.log(`RNBO: ${name} = ${value}`);
+    this.sendParameter(name);
+    this.emit('paramchange', { name, value });
+  }
+
+  // A value the parameter takes at time (audio clock seconds), for automation. It waits in
+  // the queue; the device, paramValues and paramchange get it when it falls due.
+  // setParam for the same parameter drops whatever is still to come. TimeStretch and
+  // On_Off only go through setParam.
+  scheduleParam(name, value, time) {
+    const paramInfo = this.parameterMap[name];
+    if (!paramInfo || name === 'TimeStretch' || name === 'On_Off') return;
+    if (typeof value !== 'number' || !isFinite(value)) return;
+    if (!(time > this.getControlTime())) {
+      this.setParam(name, value);
+      return;
+    }
+
+    value = this.quantizeValue(paramInfo, Math.max(paramInfo.min, Math.min(paramInfo.max, value)));
+    this.paramChanges = this.paramChanges.filter(change => change.name !== name || change.time < time);
+    this.paramChanges.push({ name, value, time });
+    if (this.device) this.scheduleParameter(name, this.getOutputValue(name, value), time, 0);
+    this.startControlClock();
+  }
+
+  // Drops every scheduled value not yet due, and any of their events still queued
+  cancelScheduledParams() {
+    const names = new Set(this.paramChanges.map(change => change.name));
+    this.paramChanges = [];
+    this.paramQueue = this.paramQueue.filter(event => !names.has(event.name));
+  }
+
+  // TimeStretch reports the factor asked for, which may still be loading
+  getParam(name) {
+    return name === 'TimeStretch' ? this.targetStretch : this.paramValues[name];
+  }
+
+  // Every engine parameter except On_Off, which is transport state rather than sound
+  getState() {
+    const params = {};
+    for (const name of Object.keys(this.parameterMap)) {
+      const value = this.getParam(name);
+      if (name !== 'On_Off' && typeof value === 'number') params[name] = value;
+    }
+    return { params, playing: this.isPlaying };
+  }
+
+  setState(state) {
+    if (!state) return Promise.resolve();
+
+    for (const [name, value] of Object.entries(state.params || {})) {
+      if (name !== 'On_Off') this.setParam(name, value);
+    }
+
+    if (state.playing === true) return this.play();
+    if (state.playing === false) this.stop();
+    return Promise.resolve();
+  }
+
+  // Playing the buffers, or passing live input through
+  isSounding() {
+    return this.isPlaying || !!this.liveInput;
+  }
+
+  setTransition(settings) {
+    this.transition = { ...this.transition, ...settings };
+    this.transition.mode = this.getTransitionMode(this.transition.mode);
+    this.startAutoDrift();
+  }
+
+  // Settings saved by earlier versions say 'fade' or 'dip'
+  getTransitionMode(mode) {
+    return mode === 'fade' || mode === 'dip' ? 'crossfade' : mode;
+  }
+
+  // ============================================
+  // Parameter model
+  // ============================================
+
+  async fetchPatcher() {
+    if (!this.patcher) {
+      await this.loadManifest();
+      try {
+        const response = await fetch(this.patcherUrl);
+        if (!response.ok) throw new Error(`Patcher HTTP ${response.status}`);
+        this.patcher = await response.json();
+        this.patcherSource = 'network';
+        await this.syncCacheVersion(this.patcher);
+      } catch (error) {
+        // Offline - fall back to the engine saved on the last visit
+        const cached = await this.cacheRead(this.patcherUrl);
+        if (!cached) throw error;
+        console.log(`Patcher unavailable (${error.message}), using cached build ${cached.version}`);
+        this.patcher = cached.data;
+        this.patcherSource = 'cache';
+        this.cacheVersion = cached.version;
+      }
+
+      // Nothing gets built on an export the UI can't drive
+      try {
+        this.checkPatcher(this.patcher);
+      } catch (error) {
+        this.patcher = null;
+        throw error;
+      }
+    }
+    return this.patcher;
+  }
+
+  // Reads the manifest once and points patcherUrl at the selected entry. Without a
+  // manifest (or when it can't be read) patcherUrl is used as given.
+  async loadManifest() {
+    if (!this.manifestUrl || this.manifest) return this.manifest;
+
+    try {
+      const response = await fetch(this.manifestUrl);
+      if (!response.ok) throw new Error(`Manifest HTTP ${response.status}`);
+      const manifest = await response.json();
+      const base = new URL(this.manifestUrl, document.baseURI);
+      const patchers = (Array.isArray(manifest.patchers) ? manifest.patchers : [])
+        .filter(entry => entry && entry.id && entry.url)
+        .map(entry => ({ id: entry.id, name: entry.name || entry.id, url: new URL(entry.url, base).href }));
+      if (!patchers.length) throw new Error('Manifest lists no patchers');
+      this.manifest = { default: manifest.default || null, patchers };
+    } catch (error) {
+      console.warn(`Patcher manifest unavailable (${error.message}), using ${this.patcherUrl}`);
+      this.manifest = { default: null, patchers: [] };
+      return this.manifest;
+    }
+
+    const entry = this.getPatcherEntry(this.patcherId) ||
+      this.getPatcherEntry(this.manifest.default) ||
+      this.manifest.patchers[0];
+    this.patcherId = entry.id;
+    this.patcherUrl = entry.url;
+    return this.manifest;
+  }
+
+  getPatcherEntry(id) {
+    return (this.manifest && this.manifest.patchers.find(entry => entry.id === id)) || null;
+  }
+
+  // Switches to another export from the manifest and reads its description. A device
+  // can't be swapped for another, so once load() has started this throws.
+  async selectPatcher(id) {
+    await this.loadManifest();
+    const entry = this.getPatcherEntry(id);
+    if (!entry) throw new Error(`No patcher "${id}" in the manifest`);
+    if (entry.id === this.patcherId && this.patcher) return this.patcher;
+    if (this.device || this.loadPromise) throw new Error('Reload the page to switch engines');
+
+    this.patcherId = entry.id;
+    this.patcherUrl = entry.url;
+    this.patcher = null;
+    this.patcherSource = null;
+    this.cacheVersion = null;
+    this.emit('patcherchange', { id: entry.id });
+    return this.loadDescription();
+  }
+
+  // Compares the export with this.requirements and bufferFiles. Missing parameters
+  // or data buffers throw (with the list on error.problems); a missing outport only
+  // leaves its meter idle, and a runtime mismatch is settled by ensureRuntime.
+  checkPatcher(patcher) {
+    const desc = (patcher && patcher.desc) || {};
+    const problems = [];
+    const add = (kind, name, issue, fatal) => problems.push({ kind, name, issue, fatal });
+
+    const parameters = new Set((desc.parameters || []).map(p => p.paramId || p.name));
+    this.requirements.parameters.forEach((name) => {
+      if (!parameters.has(name)) add('parameter', name, 'missing from the export', true);
+    });
+
+    const dataRefs = new Set((desc.externalDataRefs || []).map(ref => ref.id));
+    Object.keys(this.bufferFiles).forEach((id) => {
+      if (!dataRefs.has(id)) add('data buffer', id, 'missing from the export', true);
+    });
+    dataRefs.forEach((id) => {
+      if (!(id in this.bufferFiles)) add('data buffer', id, 'no file to load into it', false);
+    });
+
+    const outports = new Set((desc.outports || []).map(port => port.tag));
+    this.requirements.outports.forEach((tag) => {
+      if (!outports.has(tag)) add('outport', tag, 'missing from the export', false);
+    });
+
+    const wanted = this.getExportVersion(patcher);
+    const runtime = this.getPageRuntime();
+    const version = runtime && this.getRuntimeVersion(runtime);
+    if (wanted && version && version !== wanted) {
+      add('runtime', 'RNBO', `page has ${version}, export needs ${wanted} - it will be loaded`, false);
+    }
+
+    this.patcherProblems = problems;
+    this.emit('compatibility', { problems });
+    if (!problems.length) return;
+
+    console.warn(`${problems.length} compatibility issue(s) with ${this.patcherUrl}:`);
+    console.table(problems);
+    const fatal = problems.filter(p => p.fatal);
+    if (fatal.length) {
+      const error = new Error(`Incompatible engine export - ${fatal.map(p => `${p.kind} ${p.name}`).join(', ')} missing`);
+      error.problems = problems;
+      throw error;
+    }
+  }
+
+  // Reads the export's parameter descriptions without creating a device, so parameters
+  // can be set before load(). Resolves to the export.
+  async loadDescription() {
+    const patcher = await this.fetchPatcher();
+    this.buildParameterModel(patcher.desc.parameters);
+    return patcher;
+  }
+
+  // Builds parameterMap from RNBO parameter descriptions. Accepts both the export's
+  // desc.parameters ({ minimum, maximum, paramId }) and live device.parameters ({ min, max, id }).
+  // index addresses the device parameter, steps quantizes values (see quantizeValue) and
+  // exponent is RNBO's normalized-to-value curve, which the knobs follow.
+  buildParameterModel(descriptions) {
+    const map = {};
+
+    descriptions.forEach((p, i) => {
+      const name = p.name || p.paramId || p.id;
+      const display = this.parameterDisplay[name] || {};
+      const min = p.minimum !== undefined ? p.minimum : p.min;
+      const max = p.maximum !== undefined ? p.maximum : p.max;
+
+      map[name] = {
+        index: p.index !== undefined ? p.index : i,
+        min,
+        max,
+        steps: p.steps || 0,
+        exponent: p.exponent || 1,
+        initialValue: p.initialValue !== undefined ? p.initialValue : min,
+        label: display.label || p.displayName || name,
+        format: display.format || (v => `${parseFloat(v.toFixed(2))}${p.unit ? ' ' + p.unit : ''}`),
+      };
+
+      if (!(name in this.paramValues)) this.paramValues[name] = map[name].initialValue;
+    });
+
+    this.parameterMap = map;
+    this.emit('parametermodel', { parameters: map });
+  }
+
+  // ============================================
+  // Device
+  // ============================================
+
+  async ensureAudioContext() {
+    if (!this.audioContext && this.shared) {
+      this.audioContext = this.shared.context;
+    }
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (this.shared) this.shared.context = this.audioContext;
+
+    // Resume AudioContext if suspended (mobile browsers suspend by default)
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+    return this.audioContext;
+  }
+
+  // Everything the engine plays ends up in outputGain - the device and the live chain
+  ensureOutput() {
+    if (!this.outputGain) {
+      this.outputGain = this.audioContext.createGain();
+      this.outputGain.connect(this.destination || this.audioContext.destination);
+    }
+    return this.outputGain;
+  }
+
+  async initAudio() {
+    this.changeState('loading');
+
+    try {
+      await this.ensureAudioContext();
+
+      // Fetch the RNBO patcher (usually already read by loadDescription)
+      const patcher = await this.fetchPatcher();
+
+      // Create RNBO device (kept if a cancelled load is started again)
+      if (!this.device) {
+        const rnbo = await this.ensureRuntime(patcher);
+        this.device = await rnbo.createDevice({ context: this.audioContext, patcher });
+
+        // The live device is the final authority on the parameter model
+        this.buildParameterModel(this.device.parameters);
+
+        // Out through its own gain, which stretch crossfades fade in
+        this.deviceGain = this.audioContext.createGain();
+        this.device.node.connect(this.deviceGain);
+        this.deviceGain.connect(this.ensureOutput());
+
+        // Outport messages - the compressor reports its gain reduction on atten/compens
+        this.device.messageEvent.subscribe(e => this.emit('message', { tag: e.tag, payload: e.payload }));
+      }
+
+      // Load audio buffers
+      await this.loadBuffers();
+
+      // Send every parameter's current value to the device
+      this.initializeParameters();
+
+      this.isLoaded = true;
+      this.changeState('ready');
+    } catch (error) {
+      console.error('Failed to initialize audio:', error);
+      this.changeState('idle');
+      this.emit('error', { error, stage: 'load' });
+      throw error;
+    }
+  }
+
+  // Direct parameter setter - sends one value to the RNBO device. Only the delivery
+  // queue calls this; everything else goes through scheduleParameter.
+  setRNBOParam(name, value) {
+    const param = this.getDeviceParameter(name);
+    if (!param) return;
+
+    param.value = value;
+    this.deviceValues[name] = value;
+  }
+
+  // By the export's index, checked by name in case the device orders them differently
+  getDeviceParameter(name) {
+    if (!this.device) return null;
+    const paramInfo = this.parameterMap[name];
+    const indexed = paramInfo && this.device.parameters[paramInfo.index];
+    if (indexed && (indexed.name === name || indexed.id === name)) return indexed;
+    return this.device.parameters.find(param => param.name === name || param.id === name) || null;
+  }
+
+  // Schedules a parameter's output value for the device. Filter cutoff and resonance
+  // always go out together, modulated or not
+  sendParameter(name) {
+    if (this.liveChain) this.updateLiveChain(name);
+    if (this.tailChain) this.updateLiveChain(name, this.tailChain);
+    if (!this.device) return;
+
+    if (name === 'HPF_Cutoff' || name === 'HPF_Res') {
+      this.scheduleParameter('HPF_Res', this.getOutputValue('HPF_Res'));
+      this.scheduleParameter('HPF_Cutoff', this.getOutputValue('HPF_Cutoff'));
+      return;
+    }
+
+    if (name === 'LPF_Cutoff' || name === 'LPF_Res') {
+      this.scheduleParameter('LPF_Cutoff', this.getOutputValue('LPF_Cutoff'));
+      this.scheduleParameter('LPF_Res', this.getOutputValue('LPF_Res'));
+      return;
+    }
+
+    this.scheduleParameter(name, this.getOutputValue(name));
+  }
+
+  // The value the device gets - the base (or a scheduled value) plus any modulation,
+  // kept inside the range.
+  // TimeStretch is modulated through its transitions instead (see modulateStretch).
+  getOutputValue(name, value = this.paramValues[name]) {
+    const offset = this.modulationOffsets[name];
+    const paramInfo = this.parameterMap[name];
+    if (!offset || !paramInfo || name === 'TimeStretch') return value;
+    return this.quantizeValue(paramInfo, Math.max(paramInfo.min, Math.min(paramInfo.max, value + offset)));
+  }
+
+  // RNBO's step rule: steps 0 is continuous, 1 is a switch (anything above min is max),
+  // otherwise steps evenly spaced values across the range
+  quantizeValue(paramInfo, value) {
+    const range = paramInfo.max - paramInfo.min;
+    if (!paramInfo.steps || !range) return value;
+    if (paramInfo.steps === 1) return value > paramInfo.min ? paramInfo.max : paramInfo.min;
+
+    const divisions = paramInfo.steps - 1;
+    return paramInfo.min + Math.round((value - paramInfo.min) / range * divisions) / divisions * range;
+  }
+
+  initializeParameters() {
+    console.log('Initializing parameters...');
+
+    // Every parameter keeps its last value (initially the export's initialValue)
+    for (const name of Object.keys(this.parameterMap)) {
+      if (name === 'TimeStretch' || name === 'On_Off') continue;
+      this.sendParameter(name);
+      console.log(`  ${name} = ${this.paramValues[name]}`);
+    }
+
+    // TimeStretch goes to the selected factor (a preset may have moved it before loading)
+    this.setTimeStretch(this.targetStretch, true);
+
+    // Ensure On_Off is off initially
+    this.setParam('On_Off', 0);
+  }
+
+  // ============================================
+  // RNBO runtime
+  // ============================================
+
+  getExportVersion(patcher) {
+    const meta = (patcher && patcher.desc && patcher.desc.meta) || {};
+    return meta.rnboversion || null;
+  }
+
+  getPageRuntime() {
+    return typeof RNBO !== 'undefined' ? RNBO : null;
+  }
+
+  getRuntimeVersion(runtime) {
+    return runtime.version ? String(runtime.version) : null;
+  }
+
+  // The runtime on the page is used when it matches the export's RNBO version (or
+  // either doesn't say). Otherwise the matching build is loaded from runtimeUrl,
+  // and if that fails the load stops rather than creating a device that may misbehave.
+  async ensureRuntime(patcher) {
+    if (this.rnbo) return this.rnbo;
+
+    const wanted = this.getExportVersion(patcher);
+    const runtime = this.getPageRuntime();
+    const version = runtime && this.getRuntimeVersion(runtime);
+
+    if (runtime && (!wanted || !version || version === wanted)) {
+      if (!version) console.warn('RNBO runtime reports no version - cannot check it against the export');
+      this.rnbo = runtime;
+      return runtime;
+    }
+    if (!wanted) throw new Error('RNBO runtime not loaded');
+
+    const url = this.runtimeUrl.replace('{version}', wanted);
+    console.warn(`Export needs RNBO ${wanted}, page has ${version || 'none'} - loading ${url}`);
+    let pinned;
+    try {
+      pinned = await NassauEngine.loadRuntime(url);
+    } catch (error) {
+      throw new Error(`This engine needs RNBO ${wanted} (page has ${version || 'none'}) and it could not be loaded: ${error.message}`);
+    }
+
+    const pinnedVersion = this.getRuntimeVersion(pinned);
+    if (pinnedVersion && pinnedVersion !== wanted) {
+      throw new Error(`This engine needs RNBO ${wanted}, but ${url} is ${pinnedVersion}`);
+    }
+    this.rnbo = pinned;
+    return pinned;
+  }
+
+  // Loads a runtime script once per URL. The page's own RNBO global is put back, so
+  // engines built on different versions can share a page.
+  static loadRuntime(url) {
+    if (!NassauEngine.runtimes[url]) {
+      NassauEngine.runtimes[url] = new Promise((resolve, reject) => {
+        const previous = typeof RNBO !== 'undefined' ? RNBO : undefined;
+        const script = document.createElement('script');
+        script.src = url;
+        script.onload = () => {
+          const runtime = window.RNBO;
+          if (previous) window.RNBO = previous;
+          if (runtime && runtime !== previous && typeof runtime.createDevice === 'function') {
+            resolve(runtime);
+          } else {
+            reject(new Error(`${url} did not define RNBO`));
+          }
+        };
+        script.onerror = () => reject(new Error(`could not fetch ${url}`));
+        document.head.appendChild(script);
+      });
+      // Let a later load try again
+      NassauEngine.runtimes[url].catch(() => { delete NassauEngine.runtimes[url]; });
+    }
+    return NassauEngine.runtimes[url];
+  }
+
+  // ============================================
+  // Parameter smoothing
+  // ============================================
+
+  // Events due at the same time go out in this order: HPF resonance before its cutoff,
+  // LPF cutoff before its resonance (order matters for some filter implementations),
+  // then everything else, with On_Off last so the device never starts on stale values.
+  getDeliveryRank(name) {
+    const filterOrder = ['HPF_Res', 'HPF_Cutoff', 'LPF_Cutoff', 'LPF_Res'];
+    if (filterOrder.includes(name)) return filterOrder.indexOf(name);
+    return name === 'On_Off' ? filterOrder.length + 1 : filterOrder.length;
+  }
+
+  getControlTime() {
+    return this.audioContext ? this.audioContext.currentTime : 0;
+  }
+
+  // Ramps to the value over rampMs (the parameter's smoothing time while playing), or
+  // lands it in one event when stopped, for stepped parameters and when nothing has
+  // reached the device yet. Queued events for the parameter from time (audio clock
+  // seconds, default now) on are replaced.
+  scheduleParameter(name, value, time = this.getControlTime(), rampMs = this.isPlaying ? (this.smoothing[name] || 0) : 0) {
+    this.paramQueue = this.paramQueue.filter(event => event.name !== name || event.time < time);
+    const from = this.getScheduledValue(name);
+
+    if (rampMs > 0 && typeof from === 'number' && from !== value) {
+      const ramp = { from, to: value };
+      const steps = Math.max(1, Math.round(rampMs / this.controlRateMs));
+      for (let i = 1; i <= steps; i++) {
+        this.queueParameter(time + (rampMs / 1000) * (i / steps), name, this.getRampValue(name, ramp, i / steps));
+      }
+    } else {
+      this.queueParameter(time, name, value);
+    }
+    this.deliverParameters(this.getControlTime());
+  }
+
+  // The last value queued or sent for a parameter
+  getScheduledValue(name) {
+    const queued = this.paramQueue.filter(event => event.name === name);
+    if (!queued.length) return this.deviceValues[name];
+    return queued.reduce((latest, event) => (event.time >= latest.time ? event : latest)).value;
+  }
+
+  queueParameter(time, name, value) {
+    this.paramQueue.push({ time, rank: this.getDeliveryRank(name), seq: this.paramSeq++, name, value });
+  }
+
+  // Writes every event that is due to the device, earliest first; the rest wait for the
+  // control clock, so a new value can still replace them
+  deliverParameters(now) {
+    const due = this.paramQueue.filter(event => event.time <= now);
+    this.paramQueue = this.paramQueue.filter(event => event.time > now);
+
+    due.sort((a, b) => a.time - b.time || a.rank - b.rank || a.seq - b.seq);
+    for (const event of due) this.setRNBOParam(event.name, event.value);
+
+    if (this.paramQueue.length) this.startControlClock();
+  }
+
+  // Lands every parameter on its output value now, in one ordered batch, so On_Off,
+  // sent next, always follows it
+  settleParameters() {
+    if (!this.device) return;
+
+    const time = this.getControlTime();
+    this.paramQueue = [];
+    for (const name of Object.keys(this.parameterMap)) {
+      if (name !== 'On_Off' && typeof this.paramValues[name] === 'number') {
+        this.queueParameter(time, name, this.getOutputValue(name));
+      }
+    }
+    this.deliverParameters(this.getControlTime());
+  }
+
+  // How far ahead (seconds) callers should queue values (automation). Hidden tabs run
+  // timers about once a second, so there the queue has to carry on between them.
+  getScheduleAhead() {
+    const hidden = typeof document !== 'undefined' && document.hidden;
+    return (hidden ? this.hiddenScheduleAheadMs : this.scheduleAheadMs) / 1000;
+  }
+
+  // Runs only while events or scheduled values are waiting. Hidden tabs throttle timers
+  // but not events from the audio graph, so while the context runs the clock is a silent
+  // source that ends a control step from now.
+  startControlClock() {
+    if (this.controlTimer) return;
+
+    const tick = () => {
+      if (this.controlTimer !== timer) return;
+      this.controlTimer = null;
+      this.controlTick();
+    };
+    let timer;
+    if (this.audioContext && this.audioContext.state === 'running') {
+      timer = this.audioContext.createConstantSource();
+      timer.offset.value = 0;
+      timer.connect(this.audioContext.destination);
+      timer.onended = () => {
+        timer.disconnect();
+        tick();
+      };
+      timer.start();
+      timer.stop(this.audioContext.currentTime + this.controlRateMs / 1000);
+    } else {
+      timer = setTimeout(tick, this.controlRateMs);
+    }
+    this.controlTimer = timer;
+  }
+
+  controlTick() {
+    // A tick run directly takes over from the one waiting
+    this.controlTimer = null;
+    const now = this.getControlTime();
+    this.applyParamChanges(now);
+    this.deliverParameters(now);
+    if (this.paramChanges.length) this.startControlClock();
+  }
+
+  // Scheduled values that are due become the base values (the device gets them from the
+  // queue in the same tick)
+  applyParamChanges(now) {
+    const due = this.paramChanges.filter(change => change.time <= now);
+    if (!due.length) return;
+
+    this.paramChanges = this.paramChanges.filter(change => change.time > now);
+    due.sort((a, b) => a.time - b.time);
+    for (const { name, value } of due) {
+      this.paramValues[name] = value;
+      if (this.liveChain) this.updateLiveChain(name);
+      if (this.tailChain) this.updateLiveChain(name, this.tailChain);
+      this.emit('paramchange', { name, value });
+    }
+  }
+
+  // Tapered parameters (the cutoffs) glide exponentially so a sweep sounds even
+  getRampValue(name, ramp, progress) {
+    if (progress >= 1) return ramp.to;
+
+    const display = this.parameterDisplay[name];
+    if (display && display.taper && ramp.from > 0 && ramp.to > 0) {
+      return ramp.from * Math.pow(ramp.to / ramp.from, progress);
+    }
+    return ramp.from + (ramp.to - ramp.from) * progress;
+  }
+
+  // ============================================
+  // Modulation
+  // ============================================
+
+  normalizeModulator(settings) {
+    const number = (value, min, max, fallback) =>
+      (typeof value === 'number' && isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback);
+
+    return {
+      shape: this.lfoShapes.includes(settings.shape) ? settings.shape : 'sine',
+      rate: number(settings.rate, 0.01, 20, 0.25),
+      depth: number(settings.depth, 0, 1, 0),
+      phase: number(settings.phase, 0, 1, 0),
+      target: typeof settings.target === 'string' && settings.target !== 'On_Off' ? settings.target : null,
+    };
+  }
+
+  getModulators() {
+    return this.modulators.map(modulator => ({ ...modulator }));
+  }
+
+  setModulator(index, settings) {
+    const previous = this.modulators[index];
+    if (!previous) return;
+
+    // A parameter left without an LFO is released on the next tick
+    this.modulators[index] = this.normalizeModulator({ ...previous, ...settings });
+    if (this.isModulating()) {
+      this.startModulation();
+    } else {
+      this.stopModulation();
+    }
+    this.emit('modulatorchange', { index });
+  }
+
+  isModulating() {
+    return this.modulators.some(modulator => this.parameterMap[modulator.target] && modulator.depth > 0);
+  }
+
+  startModulation() {
+    if (this.modulationTimer || !this.isSounding() || !this.isModulating()) return;
+    this.modulationTimer = setInterval(() => this.modulationTick(), this.modulationRateMs);
+  }
+
+  // Every modulated parameter goes back to its base value
+  stopModulation() {
+    clearInterval(this.modulationTimer);
+    this.modulationTimer = null;
+
+    const names = Object.keys(this.modulationOffsets);
+    names.forEach(name => this.releaseModulation(name));
+    if (names.length) this.emit('modulation', { values: {} });
+  }
+
+  // Sends a parameter back to its base value
+  releaseModulation(name) {
+    delete this.modulationOffsets[name];
+    if (name === 'TimeStretch') {
+      if (this.soundingStretch !== this.targetStretch || this.pendingStretch !== null) this.setTimeStretch(this.targetStretch);
+    } else {
+      this.sendParameter(name);
+    }
+  }
+
+  // Offsets are recomputed from the audio clock each tick, so the LFOs keep time with
+  // the audio however late the timer fires. The smoothing ramps take out the steps.
+  modulationTick() {
+    const time = this.getControlTime();
+    const offsets = {};
+
+    this.modulators.forEach((modulator, index) => {
+      const paramInfo = this.parameterMap[modulator.target];
+      if (!paramInfo || !(modulator.depth > 0)) return;
+      const output = this.getModulatorOutput(modulator, index, time);
+      offsets[modulator.target] = (offsets[modulator.target] || 0) + output * modulator.depth * (paramInfo.max - paramInfo.min);
+    });
+
+    const released = Object.keys(this.modulationOffsets).filter(name => !(name in offsets));
+    this.modulationOffsets = offsets;
+    released.forEach(name => this.releaseModulation(name));
+
+    const values = {};
+    for (const name of Object.keys(offsets)) {
+      if (name === 'TimeStretch') {
+        values[name] = this.modulateStretch();
+      } else {
+        this.sendParameter(name);
+        values[name] = this.getOutputValue(name);
+      }
+    }
+    this.emit('modulation', { values });
+  }
+
+  // LFO output from -1 to 1 at a time in seconds
+  getModulatorOutput(modulator, index, time) {
+    const position = time * modulator.rate + modulator.phase;
+    const cycle = Math.floor(position);
+    const t = position - cycle;
+
+    switch (modulator.shape) {
+      case 'triangle':
+        return 1 - 4 * Math.abs(t - 0.5);
+      case 'square':
+        return t < 0.5 ? 1 : -1;
+      case 'sample-hold':
+        return this.getRandomStep(index, cycle);
+      case 'smooth-random': {
+        const from = this.getRandomStep(index, cycle);
+        const to = this.getRandomStep(index, cycle + 1);
+        return from + (to - from) * (1 - Math.cos(Math.PI * t)) / 2;
+      }
+      default:
+        return Math.sin(2 * Math.PI * t);
+    }
+  }
+
+  // Hashed rather than Math.random, so each cycle keeps its value however often it's read
+  getRandomStep(index, cycle) {
+    const x = Math.sin((cycle + 1) * 12.9898 + (index + 1) * 78.233) * 43758.5453;
+    return (x - Math.floor(x)) * 2 - 1;
+  }
+
+  // TimeStretch steps between whole factors through the usual transition, and only to
+  // factors already loaded; targetStretch stays the base the slider shows
+  modulateStretch() {
+    const paramInfo = this.parameterMap.TimeStretch;
+    const offset = this.modulationOffsets.TimeStretch || 0;
+    const value = Math.max(paramInfo.min, Math.min(this.getAvailableStretch(), Math.round(this.targetStretch + offset)));
+    const current = this.pendingStretch !== null ? this.pendingStretch : this.soundingStretch;
+
+    if (value !== current && this.isStretchReady(value)) this.queueStretchTransition(value);
+    return value;
+  }
+
+  // ============================================
+  // Live input
+  // ============================================
+
+  // Unprocessed audio - echo cancellation and gain control would fight the effects.
+  // That makes feedback through speakers more likely, hence the check in meterInput.
+  async openMicrophone(deviceId) {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw new Error('Audio input is not supported in this browser');
+    }
+
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+    });
+    await this.setInput(stream, { kind: 'microphone', ownsStream: true });
+    return stream;
+  }
+
+  // source is a MediaStream or an <audio>/<video> element; null goes back to the buffers.
+  // Streams opened by openMicrophone are stopped again when the input closes.
+  async setInput(source, { kind, ownsStream = false } = {}) {
+    if (!source) {
+      this.closeInput();
+      return;
+    }
+
+    await this.ensureAudioContext();
+    if (!Object.keys(this.parameterMap).length) await this.loadDescription();
+    this.disconnectInput();
+
+    let node;
+    if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) {
+      node = this.audioContext.createMediaStreamSource(source);
+      kind = kind || 'stream';
+    } else if (typeof HTMLMediaElement !== 'undefined' && source instanceof HTMLMediaElement) {
+      // An element can only ever have one source node
+      node = this.mediaSources.get(source);
+      if (!node) {
+        node = this.audioContext.createMediaElementSource(source);
+        this.mediaSources.set(source, node);
+      }
+      node.disconnect();
+      kind = kind || 'element';
+    } else {
+      throw new TypeError('setInput takes a MediaStream or a media element');
+    }
+
+    this.inputAnalyser = this.audioContext.createAnalyser();
+    this.inputAnalyser.fftSize = 2048;
+    node.connect(this.inputAnalyser);
+
+    // A patcher exported with signal inlets gets the input itself
+    if (this.device && this.device.numInputChannels > 0) {
+      node.connect(this.device.node);
+    } else {
+      this.buildLiveChain();
+      node.connect(this.liveChain.input);
+      this.liveChain.output.connect(this.ensureOutput());
+    }
+
+    this.liveInput = { kind, node, stream: ownsStream ? source : null, element: kind === 'element' ? source : null };
+    this.startInputMeter();
+    this.startModulation();
+    this.emit('inputchange', { mode: 'live', kind });
+  }
+
+  closeInput() {
+    if (!this.liveInput) return;
+
+    this.disconnectInput();
+    if (!this.isPlaying) this.stopModulation();
+    this.emit('inputchange', { mode: 'buffers', kind: null });
+  }
+
+  disconnectInput() {
+    const input = this.liveInput;
+    if (!input) return;
+
+    clearInterval(this.inputMeterTimer);
+    this.inputMeterTimer = null;
+    input.node.disconnect();
+    if (input.stream) input.stream.getTracks().forEach(track => track.stop());
+
+    // A media element is paused, so replacing it doesn't leave it playing unprocessed, and
+    // reconnected straight out - its source node can't be undone - for whoever plays it next
+    if (input.element) {
+      input.element.pause();
+      input.node.connect(this.audioContext.destination);
+    }
+
+    if (this.liveChain) {
+      clearTimeout(this.liveChain.irTimer);
+      this.liveChain.jitterLfo.stop();
+      this.liveChain.output.disconnect();
+      this.liveChain = null;
+    }
+
+    this.liveInput = null;
+    this.inputAnalyser = null;
+    this.feedbackBin = -1;
+    this.feedbackSince = null;
+    if (this.feedbackWarning) {
+      this.feedbackWarning = false;
+      this.emit('inputwarning', { type: 'feedback', active: false });
+    }
+  }
+
+  buildLiveChain() {
+    this.liveChain = this.createEffectChain();
+    return this.liveChain;
+  }
+
+  // Web Audio stand-in for the patcher's filters, Comp and Reverb, set from the same
+  // parameters: HPF -> LPF -> compressor, then dry plus a convolution reverb whose
+  // send is wobbled by Rev_Jitter
+  createEffectChain() {
+    const context = this.audioContext;
+    const chain = {
+      input: context.createGain(),
+      hpf: context.createBiquadFilter(),
+      lpf: context.createBiquadFilter(),
+      compressor: context.createDynamicsCompressor(),
+      dry: context.createGain(),
+      jitter: context.createDelay(0.1),
+      jitterLfo: context.createOscillator(),
+      jitterDepth: context.createGain(),
+      reverb: context.createConvolver(),
+      wet: context.createGain(),
+      output: context.createGain(),
+      irTimer: null,
+    };
+
+    chain.hpf.type = 'highpass';
+    chain.lpf.type = 'lowpass';
+    chain.compressor.threshold.value = -18;
+    chain.compressor.knee.value = 6;
+    chain.compressor.ratio.value = 4;
+    chain.compressor.attack.value = 0.01;
+    chain.compressor.release.value = 0.2;
+    chain.jitter.delayTime.value = 0.02;
+    chain.jitterLfo.frequency.value = 0.7;
+    chain.jitterLfo.connect(chain.jitterDepth);
+    chain.jitterDepth.connect(chain.jitter.delayTime);
+    chain.jitterLfo.start();
+
+    chain.input.connect(chain.hpf);
+    chain.hpf.connect(chain.lpf);
+    chain.lpf.connect(chain.compressor);
+    chain.compressor.connect(chain.dry);
+    chain.dry.connect(chain.output);
+    chain.compressor.connect(chain.jitter);
+    chain.jitter.connect(chain.reverb);
+    chain.reverb.connect(chain.wet);
+    chain.wet.connect(chain.output);
+
+    for (const name of ['HPF_Cutoff', 'HPF_Res', 'LPF_Cutoff', 'LPF_Res', 'Rev_Mix', 'Rev_Jitter']) {
+      this.updateLiveChain(name, chain);
+    }
+    chain.reverb.buffer = this.createImpulseResponse();
+    return chain;
+  }
+
+  // Follows the output values (modulation included), gliding over the smoothing time
+  updateLiveChain(name, chain = this.liveChain) {
+    const value = this.getOutputValue(name);
+    if (typeof value !== 'number') return;
+
+    const now = this.audioContext.currentTime;
+    const timeConstant = Math.max(0.005, (this.smoothing[name] || 0) / 3000);
+    const glide = (param, target) => param.setTargetAtTime(target, now, timeConstant);
+
+    switch (name) {
+      case 'HPF_Cutoff':
+        glide(chain.hpf.frequency, Math.max(10, value));
+        break;
+      case 'HPF_Res':
+        glide(chain.hpf.Q, 0.707 + value * 12);
+        break;
+      case 'LPF_Cutoff':
+        glide(chain.lpf.frequency, Math.max(20, value));
+        break;
+      case 'LPF_Res':
+        glide(chain.lpf.Q, 0.707 + value * 12);
+        break;
+      case 'Rev_Mix': {
+        // Equal power, so the middle of the knob isn't a dip
+        const mix = value / 100;
+        glide(chain.dry.gain, Math.cos(mix * Math.PI / 2));
+        glide(chain.wet.gain, Math.sin(mix * Math.PI / 2));
+        break;
+      }
+      case 'Rev_Jitter':
+        glide(chain.jitterDepth.gain, (value / 100) * 0.004);
+        break;
+      case 'Room_Size':
+      case 'Rev_Decay':
+      case 'Rev_Damp':
+        // Rebuilding the impulse is heavy - wait for the knob to settle
+        clearTimeout(chain.irTimer);
+        chain.irTimer = setTimeout(() => {
+          if (this.liveChain === chain || this.tailChain === chain) chain.reverb.buffer = this.createImpulseResponse();
+        }, 150);
+        break;
+    }
+  }
+
+  // Decaying stereo noise. Rev_Decay sets the length, Room_Size the pre-delay and how
+  // slowly the reflections build up, Rev_Damp how fast the highs die away.
+  createImpulseResponse() {
+    const rate = this.audioContext.sampleRate;
+    const size = this.getOutputValue('Room_Size') / 100;
+    const decay = this.getOutputValue('Rev_Decay') / 100;
+    const damp = this.getOutputValue('Rev_Damp') / 100;
+
+    const seconds = 0.3 + decay * 5.7;
+    const preDelay = Math.round((0.005 + size * 0.05) * rate);
+    const buildUp = 0.001 + size * 0.03;
+    const length = preDelay + Math.round(seconds * rate);
+    const impulse = this.audioContext.createBuffer(2, length, rate);
+
+    for (let channel = 0; channel < 2; channel++) {
+      const data = impulse.getChannelData(channel);
+      let filtered = 0;
+      for (let i = preDelay; i < length; i++) {
+        const t = (i - preDelay) / rate;
+        const envelope = Math.pow(10, (-3 * t) / seconds) * Math.min(1, t / buildUp);
+        // One-pole lowpass that closes as the tail goes on
+        const closing = Math.min(0.97, 0.05 + damp * 0.92 * (t / seconds));
+        filtered += (1 - closing) * ((Math.random() * 2 - 1) - filtered);
+        data[i] = filtered * envelope;
+      }
+    }
+    return impulse;
+  }
+
+  startInputMeter() {
+    clearInterval(this.inputMeterTimer);
+    const samples = new Float32Array(this.inputAnalyser.fftSize);
+    const spectrum = new Float32Array(this.inputAnalyser.frequencyBinCount);
+    this.inputMeterTimer = setInterval(() => this.meterInput(samples, spectrum), 50);
+  }
+
+  // Level in dBFS, and a feedback check: a loud input held on one narrow peak for
+  // over a second is most likely the speakers ringing back into the microphone
+  meterInput(samples, spectrum) {
+    this.inputAnalyser.getFloatTimeDomainData(samples);
+
+    let peak = 0;
+    let sum = 0;
+    for (const sample of samples) {
+      peak = Math.max(peak, Math.abs(sample));
+      sum += sample * sample;
+    }
+    const toDb = value => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+    const rms = toDb(Math.sqrt(sum / samples.length));
+    this.emit('inputlevel', { peak: toDb(peak), rms });
+
+    // The stand-in compressor reports like the patcher's Comp does
+    if (this.liveChain) this.emit('message', { tag: 'atten', payload: this.liveChain.compressor.reduction });
+
+    let bin = -1;
+    if (rms > -24) {
+      this.inputAnalyser.getFloatFrequencyData(spectrum);
+      bin = this.findTonalPeak(spectrum);
+    }
+
+    const now = Date.now();
+    if (bin < 0) {
+      this.feedbackSince = null;
+    } else if (this.feedbackSince === null || Math.abs(bin - this.feedbackBin) > 1) {
+      this.feedbackSince = now;
+    }
+    this.feedbackBin = bin;
+
+    const warning = this.feedbackSince !== null && now - this.feedbackSince > 1000;
+    if (warning !== this.feedbackWarning) {
+      this.feedbackWarning = warning;
+      this.emit('inputwarning', { type: 'feedback', active: warning });
+    }
+  }
+
+  // Bin of the loudest peak if it stands 25 dB clear of its neighbourhood, else -1
+  findTonalPeak(spectrum) {
+    let peak = 0;
+    for (let i = 1; i < spectrum.length; i++) {
+      if (spectrum[i] > spectrum[peak]) peak = i;
+    }
+
+    let sum = 0;
+    let count = 0;
+    for (let offset = 5; offset <= 20; offset++) {
+      for (const i of [peak - offset, peak + offset]) {
+        if (i >= 0 && i < spectrum.length && isFinite(spectrum[i])) {
+          sum += spectrum[i];
+          count++;
+        }
+      }
+    }
+    return count && spectrum[peak] - sum / count > 25 ? peak : -1;
+  }
+
+  // ============================================
+  // Loading pipeline
+  // ============================================
+
+  // Fetch with progress tracking. Rejects with error.status set for HTTP errors and
+  // an AbortError when the signal fires.
+  fetchWithProgress(url, onProgress, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new DOMException('Loading cancelled', 'AbortError'));
+        return;
+      }
+
+      const xhr = new XMLHttpRequest();
+      xhr.open('GET', url, true);
+      xhr.responseType = 'arraybuffer';
+
+      const onAbort = () => xhr.abort();
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      xhr.onprogress = (event) => {
+        if (event.lengthComputable) {
+          const percent = (event.loaded / event.total) * 100;
+          const loadedMB = (event.loaded / (1024 * 1024)).toFixed(1);
+          const totalMB = (event.total / (1024 * 1024)).toFixed(1);
+          onProgress(percent, loadedMB, totalMB);
+        } else {
+          // If length not computable, show bytes loaded
+          const loadedMB = (event.loaded / (1024 * 1024)).toFixed(1);
+          onProgress(-1, loadedMB, '?');
+        }
+      };
+
+      xhr.onload = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (xhr.status === 200) {
+          resolve(xhr.response);
+        } else {
+          const error = new Error(`HTTP ${xhr.status}`);
+          error.status = xhr.status;
+          reject(error);
+        }
+      };
+
+      xhr.onerror = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(new Error('Network error'));
+      };
+      xhr.onabort = () => reject(new DOMException('Loading cancelled', 'AbortError'));
+      xhr.send();
+    });
+  }
+
+  // Network errors, timeouts, rate limiting and 5xx are worth another try; 404s and cancels aren't
+  isTransientError(error) {
+    if (error.name === 'AbortError') return false;
+    if (!error.status) return true;
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+
+  async fetchWithRetry(url, onProgress, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchWithProgress(url, onProgress, signal);
+      } catch (error) {
+        if (attempt >= this.fetchRetries || !this.isTransientError(error)) throw error;
+
+        // Exponential backoff with jitter: ~0.5s, 1s, 2s
+        const delay = 500 * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5);
+        console.warn(`${url}: ${error.message}, retrying in ${Math.round(delay)}ms`);
+        await this.wait(delay, signal);
+      }
+    }
+  }
+
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      // The signal is shared by every load, so the listener comes off once the wait is over
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Loading cancelled', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Runs task once one of the fetchPoolSize slots is free
+  runPooled(task) {
+    return new Promise((resolve, reject) => {
+      this.fetchQueue.push({ task, resolve, reject });
+      this.drainFetchQueue();
+    });
+  }
+
+  drainFetchQueue() {
+    while (this.fetchActive < this.fetchPoolSize && this.fetchQueue.length) {
+      const { task, resolve, reject } = this.fetchQueue.shift();
+      this.fetchActive++;
+      task().then(resolve, reject).finally(() => {
+        this.fetchActive--;
+        this.drainFetchQueue();
+      });
+    }
+  }
+
+  // Signal shared by every load until the next Cancel
+  getLoadSignal() {
+    if (!this.loadController || this.loadController.signal.aborted) {
+      this.loadController = new AbortController();
+    }
+    return this.loadController.signal;
+  }
+
+  cancelLoading() {
+    if (this.loadController) this.loadController.abort();
+  }
+
+  // ============================================
+  // Stretch buffers
+  // ============================================
+
+  // Loads 1× (which also measures how big the decoded files are), then whatever the
+  // slider points at. Other factors load as the slider approaches them.
+  async loadBuffers() {
+    // Get the data buffer descriptions from the device
+    const dataBufferDescriptions = this.device.dataBufferDescriptions;
+    console.log('Buffer descriptions:', dataBufferDescriptions);
+
+    // Files the user dropped in before loading take the slot's place
+    for (const desc of dataBufferDescriptions) {
+      if (this.userBuffers[desc.id]) {
+        await this.setDeviceBuffer(desc.id, this.userBuffers[desc.id]);
+        this.audioBuffers[desc.id] = this.userBuffers[desc.id];
+        this.setBufferStatus(desc.id, 'ready');
+      }
+    }
+
+    console.log(`Buffer budget: ${(this.bufferBudget / (1024 * 1024)).toFixed(0)}MB`
+      + (navigator.deviceMemory ? ` (deviceMemory ${navigator.deviceMemory}GB)` : ' (deviceMemory unknown)'));
+
+    // Playback only needs 1×; the selected factor follows in the background
+    await this.loadStretch(1);
+    const base = this.getBufferForStretch(1);
+    if (base && !this.audioBuffers[base]) {
+      if (this.bufferStates[base] === 'cancelled') throw new DOMException('Loading cancelled', 'AbortError');
+      throw new Error(`Could not load 1× (${this.bufferErrors[base] || 'unknown error'})`);
+    }
+    this.updateStretchLimit();
+
+    const target = this.targetStretch;
+    if (target > 1) this.loadStretch(target);
+    this.prefetchStretches();
+
+    console.log('1× ready, playback enabled');
+  }
+
+  // Downloads factors into the offline cache (without decoding them) so the slider
+  // responds quickly and works offline next time. By default only the factor above the
+  // selected one - the 16× file alone is several times the size of the rest - and
+  // nothing when the browser asks to save data.
+  async prefetchStretches() {
+    if (!this.prefetch || (navigator.connection && navigator.connection.saveData)) return;
+    if (!(await this.openCacheDb())) return;
+
+    const signal = this.getLoadSignal();
+    const first = this.prefetch === 'all' ? 2 : this.targetStretch + 1;
+    const last = this.prefetch === 'all' ? this.getAvailableStretch() : Math.min(first, this.getAvailableStretch());
+    for (let value = first; value <= last; value++) {
+      const bufferId = this.getBufferForStretch(value);
+      if (!bufferId || !this.bufferFiles[bufferId] || this.bufferStates[bufferId]) continue;
+
+      const url = this.bufferFiles[bufferId];
+      if (await this.cacheHas(url)) {
+        this.setBufferStatus(bufferId, 'cached');
+        continue;
+      }
+
+      this.setBufferStatus(bufferId, 'queued');
+      this.downloadBuffer(bufferId, signal)
+        .then(() => {
+          if (this.bufferStates[bufferId] === 'downloading') this.setBufferStatus(bufferId, 'cached');
+        })
+        .catch(error => this.onBufferError(bufferId, error));
+    }
+  }
+
+  // Pooled, retried download through the offline cache. Resolves to { data, source }.
+  // A prefetch already under way is shared rather than started twice.
+  downloadBuffer(bufferId, signal) {
+    if (this.bufferDownloads[bufferId]) return this.bufferDownloads[bufferId];
+
+    this.bufferDownloads[bufferId] = this.runPooled(() => {
+      if (signal.aborted) return Promise.reject(new DOMException('Loading cancelled', 'AbortError'));
+
+      this.setBufferStatus(bufferId, 'downloading');
+      return this.fetchCached(this.bufferFiles[bufferId], (percent) => {
+        if (percent >= 0) this.setBufferStatus(bufferId, 'downloading', percent / 100);
+      }, signal);
+    }).finally(() => delete this.bufferDownloads[bufferId]);
+    return this.bufferDownloads[bufferId];
+  }
+
+  onBufferError(bufferId, error) {
+    if (error.name === 'AbortError') {
+      this.setBufferStatus(bufferId, 'cancelled');
+      return;
+    }
+    console.error(`✗ Failed to load buffer ${bufferId}:`, error);
+    this.bufferErrors[bufferId] = error.message;
+    this.setBufferStatus(bufferId, 'failed');
+    this.emit('error', { error, stage: 'buffer', bufferId });
+  }
+
+  hasActiveLoads() {
+    return Object.values(this.bufferStates).some(state => ['queued', 'downloading', 'decoding'].includes(state));
+  }
+
+  setBufferStatus(bufferId, state, progress) {
+    this.bufferStates[bufferId] = state;
+    this.bufferProgress[bufferId] = state === 'downloading' ? (progress || 0) : null;
+    this.emit('loadprogress', {
+      bufferId,
+      factor: this.getStretchFactor(bufferId),
+      state,
+      progress: this.bufferProgress[bufferId],
+    });
+  }
+
+  // Data buffer holding a TimeStretch value (1 -> 1×, 5 -> 16×)
+  getBufferForStretch(value) {
+    const factor = Math.pow(2, value - 1);
+    const desc = this.getBufferDescriptions().find(d => this.getStretchFactor(d.id) === factor);
+    return desc ? desc.id : null;
+  }
+
+  isStretchReady(value) {
+    const bufferId = this.getBufferForStretch(value);
+    return !bufferId || !!this.audioBuffers[bufferId] || !this.bufferFiles[bufferId];
+  }
+
+  // Keeps the current factor loaded, plus the neighbour once the slider is more than
+  // a quarter of the way towards it, and releases the rest
+  updateBufferWindow(position) {
+    if (!this.device) return;
+
+    const step = Math.round(position);
+    const offset = position - step;
+    const next = step + 1 + Math.sign(offset);
+    this.approachingStretch = Math.abs(offset) > 0.25 && next <= this.getAvailableStretch() ? next : null;
+
+    if (this.approachingStretch) this.loadStretch(this.approachingStretch);
+    this.releaseUnusedBuffers();
+  }
+
+  loadStretch(value) {
+    const bufferId = this.getBufferForStretch(value);
+    if (!bufferId || !this.bufferFiles[bufferId] || this.audioBuffers[bufferId]) return Promise.resolve();
+    if (value > this.getMaxStretch(value)) return Promise.resolve();
+    if (!this.bufferLoads[bufferId]) {
+      this.bufferLoads[bufferId] = this.loadStretchBuffer(bufferId, value)
+        .finally(() => delete this.bufferLoads[bufferId]);
+    }
+    return this.bufferLoads[bufferId];
+  }
+
+  async loadStretchBuffer(bufferId, value) {
+    const fileName = this.bufferFiles[bufferId].split('/').pop();
+    const signal = this.getLoadSignal();
+
+    this.setBufferStatus(bufferId, 'queued');
+
+    try {
+      // Another engine on the page may have decoded this file already, or be decoding it now
+      const url = this.bufferFiles[bufferId];
+      if (this.shared && this.shared.buffers[url]) {
+        await this.installBuffer(bufferId, value, this.acquireSharedBuffer(url), fileName, 'shared');
+        return;
+      }
+
+      const inFlight = this.shared && this.shared.loads[url];
+      if (inFlight) {
+        const audioBuffer = await this.waitUnlessAborted(inFlight.catch(() => null), signal);
+        if (this.userBuffers[bufferId]) return;
+        if (audioBuffer) {
+          await this.installBuffer(bufferId, value, this.acquireSharedBuffer(url, audioBuffer), fileName, 'shared');
+          return;
+        }
+        // It failed or was cancelled in the other engine - load it here instead
+      }
+
+      const decoding = this.decodeStretchBuffer(bufferId, value, fileName, signal);
+      if (this.shared) {
+        const load = decoding.then(({ audioBuffer }) => audioBuffer);
+        this.shared.loads[url] = load;
+        load.catch(() => {}).finally(() => {
+          if (this.shared.loads[url] === load) delete this.shared.loads[url];
+        });
+      }
+      const { audioBuffer, source } = await decoding;
+
+      // A user file may have claimed the slot while this one was downloading
+      if (this.userBuffers[bufferId]) return;
+
+      await this.installBuffer(bufferId, value, this.acquireSharedBuffer(url, audioBuffer), fileName, source);
+    } catch (error) {
+      this.onBufferError(bufferId, error);
+    }
+  }
+
+  // Download and decode of one bundled file. Resolves to { audioBuffer, source }.
+  async decodeStretchBuffer(bufferId, value, fileName, signal) {
+    const { data: arrayBuffer, source } = await this.downloadBuffer(bufferId, signal);
+    this.setBufferStatus(bufferId, 'decoding');
+
+    const sizeMB = (arrayBuffer.byteLength / (1024 * 1024)).toFixed(1);
+    console.log(`Decoding ${fileName} (${sizeMB}MB, ${source})...`);
+
+    // Marked before decoding - if the page dies here, the next visit stops below this factor
+    this.storeBufferLimit({ ...this.bufferLimit, pending: value });
+
+    let audioBuffer;
+    try {
+      audioBuffer = await this.decodeWithTimeout(arrayBuffer, signal);
+    } catch (error) {
+      this.storeBufferLimit({ ...this.bufferLimit, pending: null });
+      if (error.name !== 'AbortError') this.lowerBufferLimit(value - 1, error);
+      throw error;
+    }
+    this.storeBufferLimit({ ...this.bufferLimit, pending: null });
+    return { audioBuffer, source };
+  }
+
+  // Cancel stops this engine waiting on another's load without stopping that load
+  waitUnlessAborted(promise, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new DOMException('Loading cancelled', 'AbortError'));
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  async installBuffer(bufferId, value, audioBuffer, fileName, source) {
+    await this.setDeviceBuffer(bufferId, audioBuffer);
+    this.audioBuffers[bufferId] = audioBuffer;
+    this.setBufferStatus(bufferId, 'ready');
+    this.setBufferInfo(bufferId, fileName, audioBuffer, 'bundled', source);
+    console.log(`✓ Loaded: ${bufferId} (${audioBuffer.length} samples, ${audioBuffer.numberOfChannels}ch, ${audioBuffer.sampleRate}Hz, ${source})`);
+
+    if (value === 1) {
+      this.bufferBaseBytes = this.getBufferBytes(audioBuffer);
+    }
+
+    // The slider may have been waiting on this factor
+    if (this.targetStretch === value) this.setTimeStretch(value);
+    this.releaseUnusedBuffers();
+  }
+
+  // Decoded bundled files are shared between engines given the same options.shared.
+  // Each entry tracks the engines holding it; the last one to release it lets it go.
+  acquireSharedBuffer(url, audioBuffer) {
+    if (!this.shared) return audioBuffer;
+
+    if (!this.shared.buffers[url]) this.shared.buffers[url] = { buffer: audioBuffer, users: new Set() };
+    const entry = this.shared.buffers[url];
+    entry.users.add(this);
+    return entry.buffer;
+  }
+
+  releaseSharedBuffer(url) {
+    const entry = this.shared && this.shared.buffers[url];
+    if (!entry) return;
+
+    entry.users.delete(this);
+    if (!entry.users.size) delete this.shared.buffers[url];
+  }
+
+  // decodeAudioData can't be stopped, but Cancel and the timeout stop waiting for it
+  decodeWithTimeout(arrayBuffer, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => finish(reject, new Error('Decode timeout - file too large')), this.decodeTimeoutMs);
+      const onAbort = () => finish(reject, new DOMException('Loading cancelled', 'AbortError'));
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+        settle(value);
+      };
+
+      signal.addEventListener('abort', onAbort);
+      this.audioContext.decodeAudioData(arrayBuffer).then(
+        buffer => finish(resolve, buffer),
+        error => finish(reject, error)
+      );
+    });
+  }
+
+  // Releases bundled buffers nothing is playing or about to play. 1× stays resident
+  // as the fallback while other factors load; user files are never released.
+  releaseUnusedBuffers() {
+    const keep = new Set([1, this.soundingStretch, this.targetStretch, this.approachingStretch]
+      .map(value => value && this.getBufferForStretch(value)));
+
+    for (const bufferId of Object.keys(this.audioBuffers)) {
+      if (keep.has(bufferId) || this.userBuffers[bufferId]) continue;
+
+      if (bufferId === this.viewBufferId) this.viewBufferId = null;
+      this.device.releaseDataBuffer(bufferId);
+      this.releaseSharedBuffer(this.bufferFiles[bufferId]);
+      delete this.audioBuffers[bufferId];
+      delete this.bufferInfo[bufferId];
+      this.setBufferStatus(bufferId, 'released');
+      console.log(`Released ${bufferId}`);
+      this.emit('bufferchange', { bufferId });
+    }
+  }
+
+  getBufferBytes(audioBuffer) {
+    return audioBuffer.length * audioBuffer.numberOfChannels * Float32Array.BYTES_PER_ELEMENT;
+  }
+
+  // Every buffer held here, counted once however many slots share it - but for the one
+  // in exceptId's slot, when it's about to be replaced
+  getResidentBytes(exceptId) {
+    const buffers = new Set(Object.entries(this.audioBuffers)
+      .filter(([bufferId, audioBuffer]) => audioBuffer && bufferId !== exceptId)
+      .map(([, audioBuffer]) => audioBuffer));
+    return [...buffers].reduce((total, audioBuffer) => total + this.getBufferBytes(audioBuffer), 0);
+  }
+
+  // Whether bytes in bufferId's slot fit the budget next to everything else held
+  fitsBufferBudget(bufferId, bytes) {
+    return this.getResidentBytes(bufferId) + bytes <= this.bufferBudget;
+  }
+
+  // Decoded size of a factor - measured once loaded, otherwise scaled from 1×
+  estimateStretchBytes(value) {
+    const bufferId = this.getBufferForStretch(value);
+    if (bufferId && this.audioBuffers[bufferId]) return this.getBufferBytes(this.audioBuffers[bufferId]);
+    return this.bufferBaseBytes * Math.pow(2, value - 1);
+  }
+
+  // A quarter of the reported device memory. Browsers without deviceMemory
+  // (Safari, Firefox) get 1GB and rely on the failure limit below.
+  getMemoryBudget() {
+    const gigabytes = navigator.deviceMemory || 4;
+    return gigabytes * 1024 * 1024 * 1024 / 4;
+  }
+
+  // Highest TimeStretch value this device can hold: a factor and the one below it
+  // (both are in memory while switching) must fit the budget
+  getMaxStretch(engineMax) {
+    let max = Math.min(engineMax, this.bufferLimit.max || engineMax);
+    if (this.bufferBaseBytes) {
+      while (max > 1 && this.estimateStretchBytes(max) + this.estimateStretchBytes(max - 1) > this.bufferBudget) {
+        max--;
+      }
+    }
+    return max;
+  }
+
+  // Highest TimeStretch value available here - the engine's range within the memory limits
+  getAvailableStretch() {
+    const paramInfo = this.parameterMap.TimeStretch;
+    return paramInfo ? this.getMaxStretch(Math.round(paramInfo.max)) : 1;
+  }
+
+  // Pulls the selected factor back within reach and reports the new limit
+  updateStretchLimit() {
+    const max = this.getAvailableStretch();
+    if (this.targetStretch > max) this.setParam('TimeStretch', max);
+    this.emit('stretchlimit', { max });
+  }
+
+  lowerBufferLimit(max, error) {
+    max = Math.max(1, max);
+    console.warn(`Limiting Temporal Shift to ${Math.pow(2, max - 1)}× after: ${error.message}`);
+    this.storeBufferLimit({ max: Math.min(max, this.bufferLimit.max || max), pending: null });
+    this.updateStretchLimit();
+  }
+
+  // A decode still pending from the last visit means it took the page down
+  loadBufferLimit() {
+    let limit = { max: null, pending: null };
+    try {
+      limit = { ...limit, ...JSON.parse(localStorage.getItem(this.bufferLimitKey)) };
+    } catch (error) {
+      console.warn('Could not read buffer limit:', error);
+    }
+
+    if (limit.pending) {
+      const max = Math.max(1, limit.pending - 1);
+      console.warn(`Previous session stopped while decoding TimeStretch ${limit.pending}, limiting to ${max}`);
+      limit = { max: Math.min(max, limit.max || max), pending: null };
+      this.storeBufferLimit(limit);
+    }
+    return limit;
+  }
+
+  storeBufferLimit(limit) {
+    this.bufferLimit = limit;
+    try {
+      localStorage.setItem(this.bufferLimitKey, JSON.stringify(limit));
+    } catch (error) {
+      console.warn('Could not store buffer limit:', error);
+    }
+  }
+
+  getBufferDescriptions() {
+    if (this.device) return this.device.dataBufferDescriptions;
+    return this.patcher ? this.patcher.desc.externalDataRefs : [];
+  }
+
+  // b_NassauMusic_8B_mp3 -> 8
+  getStretchFactor(bufferId) {
+    const match = /_(\d+)B_/.exec(bufferId);
+    return match ? parseInt(match[1], 10) : 1;
+  }
+
+  setBufferInfo(bufferId, name, audioBuffer, origin, source = null) {
+    this.bufferInfo[bufferId] = {
+      name,
+      origin,
+      source,
+      duration: audioBuffer.duration,
+      channels: audioBuffer.numberOfChannels,
+      sampleRate: audioBuffer.sampleRate,
+    };
+    this.emit('bufferchange', { bufferId });
+  }
+
+  // Stores the buffer for its slot and hands it to the device if one is loaded. A buffer
+  // that won't fit the budget is refused.
+  async assignBuffer(bufferId, audioBuffer, name, origin) {
+    if (!this.fitsBufferBudget(bufferId, this.getBufferBytes(audioBuffer))) {
+      throw new Error(`Not enough memory for ${name} at ${this.getStretchFactor(bufferId)}×`);
+    }
+
+    this.userBuffers[bufferId] = audioBuffer;
+    this.audioBuffers[bufferId] = audioBuffer;
+    if (this.device) await this.setDeviceBuffer(bufferId, audioBuffer);
+    this.setBufferInfo(bufferId, name, audioBuffer, origin);
+  }
+
+  // ============================================
+  // Temporal Shift transitions
+  // ============================================
+
+  // Sends the stretch factor once its buffer is in memory; until then the
+  // factor already playing carries on. While playing, changes go through the
+  // transition (debounce, bar sync, crossfade); immediate skips all of that.
+  setTimeStretch(value, immediate = false) {
+    if (value !== this.targetStretch) {
+      this.targetStretch = value;
+      this.emit('paramchange', { name: 'TimeStretch', value });
+      if (this.isLoaded) this.prefetchStretches();
+    }
+    if (this.device && !this.isStretchReady(value)) {
+      this.loadStretch(value);
+      return;
+    }
+
+    if (immediate || !this.isPlaying) {
+      this.cancelStretchTransition();
+      if (value === this.soundingStretch && this.paramValues.TimeStretch === value && !immediate) return;
+      this.commitTimeStretch(value);
+      return;
+    }
+    this.queueStretchTransition(value);
+  }
+
+  commitTimeStretch(value) {
+    this.advanceSourceClock();
+    this.soundingStretch = value;
+    this.paramValues.TimeStretch = value;
+    this.sendParameter('TimeStretch');
+    if (this.bufferView) this.moveBufferView();
+  }
+
+  // Dragging only settles on a factor once it has stopped for stretchDebounceMs;
+  // with bar sync it waits for the next bar of the source instead
+  queueStretchTransition(value) {
+    clearTimeout(this.stretchTimer);
+    if (value === this.soundingStretch) {
+      this.pendingStretch = null;
+      return;
+    }
+
+    this.pendingStretch = value;
+    const barDelay = this.transition.quantize ? this.getTimeToNextBar() * 1000 : 0;
+    this.stretchTimer = setTimeout(() => this.runStretchTransition(), Math.max(this.stretchDebounceMs, barDelay));
+  }
+
+  // An equal-power crossfade over fadeMs. The device reads one buffer at a time, so it
+  // switches to the new factor at once and fades in, while the factor going out is
+  // played here from its own buffer at the estimated playhead, through the Web Audio
+  // stand-in for the patcher's effects, and fades out.
+  runStretchTransition() {
+    const value = this.pendingStretch;
+    this.pendingStretch = null;
+    if (value === null || value === this.soundingStretch) return;
+
+    const outgoing = this.getActiveBuffer();
+    const factor = Math.pow(2, this.soundingStretch - 1);
+    if (this.transition.mode !== 'crossfade' || !this.deviceGain || !outgoing || outgoing.factor !== factor) {
+      this.commitTimeStretch(value);
+      return;
+    }
+
+    const now = this.audioContext.currentTime;
+    const duration = this.transition.fadeMs / 1000;
+    const gain = this.deviceGain.gain;
+    // A crossfade taken over midway goes out from the level it had reached
+    const level = gain.value;
+
+    const tail = this.startStretchTail(outgoing.buffer, this.getPlayhead().frame, now, duration);
+    this.commitTimeStretch(value);
+    gain.cancelScheduledValues(now);
+    gain.setValueCurveAtTime(this.getFadeCurve('in', 1), now, duration);
+    tail.gain.gain.setValueCurveAtTime(this.getFadeCurve('out', level), now, duration);
+  }
+
+  // Plays audioBuffer from frame for duration, looping like the device, into the effect
+  // chain kept for crossfades. Whatever tail was still playing is faded out.
+  startStretchTail(audioBuffer, frame, time, duration) {
+    this.stopStretchTail(time);
+    if (!this.tailChain) {
+      this.tailChain = this.createEffectChain();
+      this.tailChain.output.connect(this.ensureOutput());
+    }
+
+    const source = this.audioContext.createBufferSource();
+    const gain = this.audioContext.createGain();
+    source.buffer = audioBuffer;
+    if (this.loopRegion) {
+      source.loop = true;
+      source.loopStart = this.loopRegion.start * audioBuffer.duration;
+      source.loopEnd = this.loopRegion.end * audioBuffer.duration;
+    }
+    source.connect(gain);
+    gain.connect(this.tailChain.input);
+    source.onended = () => {
+      gain.disconnect();
+      if (this.stretchTail && this.stretchTail.source === source) this.stretchTail = null;
+    };
+    source.start(time, frame / audioBuffer.sampleRate);
+    source.stop(time + duration);
+
+    this.stretchTail = { source, gain };
+    return this.stretchTail;
+  }
+
+  // Ramped down over 20ms rather than cut, which clicks
+  stopStretchTail(time) {
+    const tail = this.stretchTail;
+    if (!tail) return;
+
+    this.stretchTail = null;
+    tail.gain.gain.cancelScheduledValues(time);
+    tail.gain.gain.setValueAtTime(tail.gain.gain.value, time);
+    tail.gain.gain.linearRampToValueAtTime(0, time + 0.02);
+    tail.source.stop(time + 0.02);
+  }
+
+  // Quarter sine and cosine - the two sides of a crossfade always add up to the same power
+  getFadeCurve(direction, level) {
+    const curve = new Float32Array(64);
+    for (let i = 0; i < curve.length; i++) {
+      const angle = (i / (curve.length - 1)) * Math.PI / 2;
+      curve[i] = level * (direction === 'in' ? Math.sin(angle) : Math.cos(angle));
+    }
+    return curve;
+  }
+
+  // A crossfade cut short: the tail goes and the device ramps back up from wherever it
+  // had got to - jumping to 1 clicks
+  cancelStretchTransition() {
+    clearTimeout(this.stretchTimer);
+    this.pendingStretch = null;
+    if (this.deviceGain) {
+      const now = this.audioContext.currentTime;
+      const gain = this.deviceGain.gain;
+      this.stopStretchTail(now);
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+      gain.linearRampToValueAtTime(1, now + 0.02);
+    }
+  }
+
+  // The device doesn't report its playhead, so the source position is estimated from
+  // elapsed time divided by the stretch factor playing at the time. It starts from the
+  // top of its buffers - moved by a host-side seek (see setBufferView).
+  resetSourceClock() {
+    const position = this.bufferView ? this.bufferView.offset * this.getSourceDuration() : 0;
+    this.sourceClock = { time: this.audioContext.currentTime, position, elapsed: 0 };
+  }
+
+  advanceSourceClock() {
+    if (!this.audioContext) return;
+    const now = this.audioContext.currentTime;
+    // Held where it is until a restart that is still to come (see restartPlayback)
+    if (now < this.sourceClock.time) return;
+    if (this.isPlaying) {
+      this.sourceClock.position += (now - this.sourceClock.time) / Math.pow(2, this.soundingStretch - 1);
+      this.sourceClock.elapsed += now - this.sourceClock.time;
+
+      // The device wraps at the loop end; so does the estimate
+      const duration = this.getSourceDuration();
+      if (this.loopRegion && duration) {
+        const start = this.loopRegion.start * duration;
+        const end = this.loopRegion.end * duration;
+        if (this.sourceClock.position >= end) {
+          this.sourceClock.position = start + (this.sourceClock.position - start) % (end - start);
+        }
+      }
+    }
+    this.sourceClock.time = now;
+  }
+
+  // Seconds until the next bar line of the source, at the current stretch
+  getTimeToNextBar() {
+    this.advanceSourceClock();
+    const barLength = (60 / this.transition.bpm) * this.transition.beatsPerBar;
+    const remaining = barLength - (this.sourceClock.position % barLength);
+    return remaining * Math.pow(2, this.soundingStretch - 1);
+  }
+
+  // Auto-drift walks one factor at a time, turning round at either end of the range
+  startAutoDrift() {
+    this.stopAutoDrift();
+    if (!this.transition.drift || !this.isPlaying) return;
+
+    this.driftTimer = setInterval(() => this.driftStep(), this.transition.driftSeconds * 1000);
+  }
+
+  stopAutoDrift() {
+    clearInterval(this.driftTimer);
+    this.driftTimer = null;
+  }
+
+  driftStep() {
+    // The host can hold the walk, e.g. while automation plays TimeStretch back
+    if (!this.canDrift()) return;
+
+    const max = this.getAvailableStretch();
+    const current = this.targetStretch;
+    let next = current + this.driftDirection;
+    if (next < 1 || next > max) {
+      this.driftDirection = -this.driftDirection;
+      next = current + this.driftDirection;
+    }
+    if (next < 1 || next > max) return;
+
+    this.setParam('TimeStretch', next);
+
+    // Have the following factor ready by the time the walk gets there
+    const upcoming = next + this.driftDirection;
+    if (upcoming >= 1 && upcoming <= max) {
+      this.approachingStretch = upcoming;
+      this.loadStretch(upcoming);
+    }
+  }
+
+  // ============================================
+  // Timeline
+  // ============================================
+
+  // The stretch buffer playing now, or 1× while that one is still loading
+  getActiveBuffer() {
+    const bufferId = this.getBufferForStretch(this.soundingStretch);
+    const active = this.audioBuffers[bufferId];
+    if (active) return { bufferId, buffer: active, factor: Math.pow(2, this.soundingStretch - 1) };
+    const baseId = this.getBufferForStretch(1);
+    const base = this.audioBuffers[baseId];
+    return base ? { bufferId: baseId, buffer: base, factor: 1 } : null;
+  }
+
+  // Length of the music in its own (1×) time - a factor's buffer is that many times longer
+  getSourceDuration() {
+    const active = this.getActiveBuffer();
+    return active ? active.buffer.length / active.buffer.sampleRate / active.factor : 0;
+  }
+
+  // Estimated playhead. source is the music's own time, dilated the time actually
+  // heard since play - at 16× a second of source takes sixteen to hear.
+  getPlayhead() {
+    this.advanceSourceClock();
+    const factor = Math.pow(2, this.soundingStretch - 1);
+    const duration = this.getSourceDuration();
+    const source = duration ? this.sourceClock.position % duration : this.sourceClock.position;
+    const active = this.getActiveBuffer();
+    const fraction = duration ? source / duration : 0;
+
+    return {
+      fraction,
+      frame: active ? Math.floor(fraction * active.buffer.length) : 0,
+      source,
+      duration,
+      dilated: this.sourceClock.elapsed,
+      dilatedDuration: duration * factor,
+      factor,
+    };
+  }
+
+  // Seek and loop go to the patcher as messages on 'seek' [fraction] and
+  // 'loop' [start, end] ([] clears it), fractions of the buffer so they hold at any
+  // stretch. Exports without those inports are moved host-side (see setBufferView).
+  // Both need a loaded device and return false without one.
+  hasInport(tag) {
+    return !!this.device && (this.device.inports || []).some(port => port.tag === tag);
+  }
+
+  canSeek() {
+    return this.hasInport('seek') || this.canMoveBuffers();
+  }
+
+  canLoop() {
+    return this.hasInport('loop') || this.canMoveBuffers();
+  }
+
+  canMoveBuffers() {
+    return !!this.device && !!this.getActiveBuffer();
+  }
+
+  sendMessage(tag, payload) {
+    this.device.scheduleEvent(new this.rnbo.MessageEvent(this.rnbo.TimeNow, tag, payload));
+  }
+
+  seek(fraction) {
+    if (!this.canSeek() || typeof fraction !== 'number' || !isFinite(fraction)) return false;
+
+    fraction = Math.max(0, Math.min(1, fraction));
+    this.advanceSourceClock();
+    if (this.hasInport('seek')) {
+      this.sendMessage('seek', [fraction]);
+    } else {
+      // The moved buffer only holds the loop, so the seek stays inside it
+      if (this.loopRegion) fraction = Math.max(this.loopRegion.start, Math.min(this.loopRegion.end, fraction));
+      if (!this.setBufferView(fraction, this.loopRegion)) return false;
+    }
+    this.sourceClock.position = fraction * this.getSourceDuration();
+    this.emit('seek', { fraction });
+    return true;
+  }
+
+  // null (or equal ends) clears the loop
+  setLoop(start, end) {
+    if (!this.canLoop()) return false;
+
+    const { fraction } = this.getPlayhead();
+    let loop = null;
+    if (start !== null && start !== undefined && start !== end) {
+      const a = Math.max(0, Math.min(1, Math.min(start, end)));
+      const b = Math.max(0, Math.min(1, Math.max(start, end)));
+      loop = { start: a, end: b };
+    }
+
+    if (this.hasInport('loop')) {
+      this.sendMessage('loop', loop ? [loop.start, loop.end] : []);
+    } else {
+      // Playback carries on from where it is, or from the loop start when that's outside it
+      const offset = !loop || (fraction >= loop.start && fraction < loop.end) ? fraction : loop.start;
+      if (!this.setBufferView(offset, loop)) return false;
+      this.sourceClock.position = offset * this.getSourceDuration();
+    }
+    this.loopRegion = loop;
+    this.emit('loopchange', { loop: this.loopRegion });
+    return true;
+  }
+
+  // Host-side seek and loop: the device is handed a copy of the buffer playing now that
+  // holds only the loop region (or all of it), rotated to start at offset, and restarted
+  // to play it from the top. Only that buffer is copied - the others keep their own data
+  // on the device until a stretch change brings one of them in (see moveBufferView).
+  // The buffers kept here are untouched, so fractions still refer to them. Returns false,
+  // leaving playback as it was, when the copy won't fit the budget next to them.
+  setBufferView(offset, loop) {
+    const view = offset || loop ? { offset, start: loop ? loop.start : 0, end: loop ? loop.end : 1 } : null;
+    const active = this.getActiveBuffer();
+    if (view && this.getResidentBytes() + this.getViewBytes(view, active.buffer) > this.bufferBudget) {
+      this.emit('error', { error: new Error('Not enough memory to move playback without seek inports'), stage: 'seek' });
+      return false;
+    }
+
+    this.bufferView = view;
+    this.bufferViewUpdate = this.applyBufferView(active.bufferId)
+      .catch(error => this.emit('error', { error, stage: 'buffer' }));
+    return true;
+  }
+
+  async applyBufferView(bufferId) {
+    const view = this.bufferView;
+    const previous = this.viewBufferId;
+    this.viewBufferId = view ? bufferId : null;
+
+    // The buffer the view was on gets its own data back
+    if (previous && previous !== bufferId && this.audioBuffers[previous]) {
+      await this.device.setDataBuffer(previous, this.audioBuffers[previous]);
+    }
+    await this.setDeviceBuffer(bufferId, this.audioBuffers[bufferId]);
+    // A newer seek has taken over and restarts playback itself
+    if (this.bufferView !== view) return;
+    if (this.isPlaying) this.restartPlayback();
+  }
+
+  // A stretch change brings in a buffer the view isn't on: it's given its copy from where
+  // playback has got to. Without the room for it, playback goes back to the whole buffer
+  // from the top and the loop is dropped.
+  moveBufferView() {
+    const active = this.getActiveBuffer();
+    if (!active || active.bufferId === this.viewBufferId) return;
+    if (this.setBufferView(this.getPlayhead().fraction, this.loopRegion)) return;
+
+    this.setBufferView(0, null);
+    if (this.loopRegion) {
+      this.loopRegion = null;
+      this.emit('loopchange', { loop: null });
+    }
+  }
+
+  // Every buffer reaches the device through here; the one the view is on as its copy
+  setDeviceBuffer(bufferId, audioBuffer) {
+    const moved = this.bufferView && bufferId === this.viewBufferId;
+    return this.device.setDataBuffer(bufferId, moved ? this.getBufferView(audioBuffer) : audioBuffer);
+  }
+
+  // Frames start to end of the view, in the buffer's own length
+  getViewRange(view, audioBuffer) {
+    const length = audioBuffer.length;
+    const start = Math.floor(view.start * length);
+    const end = Math.max(start + 1, Math.floor(view.end * length));
+    return { start, end };
+  }
+
+  getViewBytes(view, audioBuffer) {
+    const { start, end } = this.getViewRange(view, audioBuffer);
+    return (end - start) * audioBuffer.numberOfChannels * Float32Array.BYTES_PER_ELEMENT;
+  }
+
+  getBufferView(audioBuffer) {
+    const view = this.bufferView;
+    const length = audioBuffer.length;
+    const { start, end } = this.getViewRange(view, audioBuffer);
+    const offset = Math.max(start, Math.min(end - 1, Math.floor(view.offset * length)));
+    const copy = this.audioContext.createBuffer(audioBuffer.numberOfChannels, end - start, audioBuffer.sampleRate);
+
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      const data = audioBuffer.getChannelData(c);
+      const out = copy.getChannelData(c);
+      out.set(data.subarray(offset, end));
+      out.set(data.subarray(start, offset), end - offset);
+    }
+    return copy;
+  }
+
+  // Off and on again, a control step apart. The device is taken to start its buffer from
+  // the top when it comes back on - the same assumption resetSourceClock makes on play.
+  // The export is compiled, so that can't be checked from here. The estimate waits at the
+  // view's offset until then.
+  restartPlayback() {
+    const now = this.getControlTime();
+    const restart = now + this.controlRateMs / 1000;
+    this.scheduleParameter('On_Off', 0, now, 0);
+    this.scheduleParameter('On_Off', 1, restart, 0);
+    this.advanceSourceClock();
+    this.sourceClock.position = this.bufferView ? this.bufferView.offset * this.getSourceDuration() : 0;
+    this.sourceClock.time = restart;
+  }
+
+  // ============================================
+  // Offline cache
+  // ============================================
+
+  // Resolves to null when IndexedDB is unavailable (private browsing, file://) -
+  // everything then simply comes from the network
+  openCacheDb() {
+    if (this.cacheDb) return Promise.resolve(this.cacheDb);
+    if (!window.indexedDB) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      const request = indexedDB.open(this.cacheDbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.cacheStoreName, { keyPath: 'url' });
+      };
+      request.onsuccess = () => {
+        this.cacheDb = request.result;
+        resolve(this.cacheDb);
+      };
+      request.onerror = () => {
+        console.warn('Offline cache unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  async cacheTransaction(mode, action) {
+    const db = await this.openCacheDb();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+      const tx = db.transaction(this.cacheStoreName, mode);
+      const request = action(tx.objectStore(this.cacheStoreName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = tx.onabort = () => {
+        console.warn('Offline cache error:', tx.error);
+        resolve(null);
+      };
+    });
+  }
+
+  async cacheRead(url) {
+    return (await this.cacheTransaction('readonly', store => store.get(url))) || null;
+  }
+
+  // Checks by key only, without reading the file - entries from older engine builds
+  // are cleared by syncCacheVersion
+  async cacheHas(url) {
+    const key = await this.cacheTransaction('readonly', store => store.getKey(url));
+    return key !== undefined && key !== null;
+  }
+
+  cacheWrite(url, data) {
+    const entry = { url, version: this.cacheVersion, data, storedAt: Date.now() };
+    return this.cacheTransaction('readwrite', store => store.put(entry));
+  }
+
+  cacheClear() {
+    return this.cacheTransaction('readwrite', store => store.clear());
+  }
+
+  // patcherSerial alone stays 0 across exports, so the Max patch filename (which carries
+  // its revision) and the RNBO version go into the key too
+  getEngineVersion(patcher) {
+    const desc = patcher.desc || {};
+    const meta = desc.meta || {};
+    return [meta.name, meta.filename, meta.rnboversion, desc.patcherSerial].join('|');
+  }
+
+  // A new engine build invalidates everything cached for the old one
+  async syncCacheVersion(patcher) {
+    this.cacheVersion = this.getEngineVersion(patcher);
+
+    const cached = await this.cacheRead(this.patcherUrl);
+    if (cached && cached.version !== this.cacheVersion) {
+      console.log(`Engine changed (${cached.version} → ${this.cacheVersion}), clearing offline cache`);
+      await this.cacheClear();
+    }
+    if (!cached || cached.version !== this.cacheVersion) {
+      await this.cacheWrite(this.patcherUrl, patcher);
+    }
+  }
+
+  // Raw file bytes from the cache when they match the current engine build,
+  // otherwise from the network (and stored for next time). Resolves to { data, source }.
+  async fetchCached(url, onProgress, signal) {
+    const cached = await this.cacheRead(url);
+    if (cached && cached.version === this.cacheVersion) {
+      return { data: cached.data, source: 'cache' };
+    }
+
+    const data = await this.fetchWithRetry(url, onProgress, signal);
+    // Stored before decodeAudioData detaches the buffer
+    await this.cacheWrite(url, data);
+    return { data, source: 'network' };
+  }
+}
+
+// Runtime scripts loaded by ensureRuntime, by URL
+NassauEngine.runtimes = {};
@@ -0,0 +1,57 @@
+/**
+ * Nassau Shift - Recorder AudioWorklet
+ * Collects the device output in blocks and posts them to the main thread
+ */
+
+class NassauRecorderProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.recording = false;
+    this.chunkSize = 4096;
+    this.resetChunk(2);
+
+    this.port.onmessage = (e) => {
+      if (e.data === 'start') {
+        this.recording = true;
+      } else if (e.data === 'stop') {
+        this.flush();
+        this.recording = false;
+        this.port.postMessage({ type: 'stopped' });
+      }
+    };
+  }
+
+  resetChunk(channelCount) {
+    this.chunk = Array.from({ length: channelCount }, () => new Float32Array(this.chunkSize));
+    this.chunkFill = 0;
+  }
+
+  // Post whatever has been collected so far
+  flush() {
+    if (this.chunkFill === 0) return;
+    const channels = this.chunk.map(ch => ch.slice(0, this.chunkFill));
+    this.port.postMessage({ type: 'data', channels }, channels.map(ch => ch.buffer));
+    this.resetChunk(this.chunk.length);
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!this.recording || !input || input.length === 0) return true;
+
+    if (input.length !== this.chunk.length) {
+      this.flush();
+      this.resetChunk(input.length);
+    }
+
+    const frames = input[0].length;
+    for (let c = 0; c < input.length; c++) {
+      this.chunk[c].set(input[c], this.chunkFill);
+    }
+    this.chunkFill += frames;
+
+    if (this.chunkFill + frames > this.chunkSize) this.flush();
+    return true;
+  }
+}
+
+registerProcessor('nassau-recorder', NassauRecorderProcessor);
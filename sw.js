@@ -0,0 +1,70 @@
+/**
+ * Nassau Shift - Service Worker
+ * Keeps the app shell and the RNBO runtime available offline.
+ * The engine export and the media files are cached by the app itself in
+ * IndexedDB, versioned by the patcher build (see NassauEngine.fetchCached).
+ */
+
+const SHELL_CACHE = 'nassau-shift-shell-v2';
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'styles.css',
+  'nassau-engine.js',
+  'app.js',
+  'nassau-element.js',
+  'recorder-worklet.js',
+  'patchers.json',
+  'https://cdn.cycling74.com/rnbo/1.4.2/rnbo.min.js',
+];
+
+// Requests the app caches in IndexedDB - don't store them twice
+function isEngineData(url) {
+  return url.pathname.includes('/media/') || url.pathname.endsWith('.export.json');
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => Promise.all(SHELL_FILES.map(file => {
+      // The CDN script is fetched like a plain <script> tag (opaque response)
+      const crossOrigin = new URL(file, self.location).origin !== self.location.origin;
+      const request = new Request(file, crossOrigin ? { mode: 'no-cors' } : {});
+      return fetch(request)
+        .then(response => cache.put(request, response))
+        .catch(error => console.warn(`Could not precache ${file}:`, error));
+    })))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('nassau-shift-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first so updates roll out, falling back to the cache when offline
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (!url.protocol.startsWith('http') || isEngineData(url)) return;
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok || response.type === 'opaque') {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(request, { ignoreSearch: true })
+        .then(cached => cached || Promise.reject(new Error('Offline and not cached'))))
+  );
+});
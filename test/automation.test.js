@@ -0,0 +1,71 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./fixture');
+
+// Rev_Mix from 0 to 100 over the first second - one whole step every 10ms
+const SWEEP = { lanes: { Rev_Mix: [{ time: 0, value: 0 }, { time: 1, value: 100 }] } };
+
+// Rev_Mix values still queued with the engine, as [ms, value]
+function queuedRevMix(engine) {
+  return [...engine.paramQueue]
+    .filter(event => event.name === 'Rev_Mix')
+    .map(event => [Math.round(event.time * 1000), event.value]);
+}
+
+// Rev_Mix writes after the 0 that load and play send
+function revMixWrites(record) {
+  return record.writes.filter(([name, value]) => name === 'Rev_Mix' && value > 0).map(([, value]) => value);
+}
+
+describe('Automation playback', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('queues lane values ahead of the audio clock and writes them as they fall due', async () => {
+    page = await createPage();
+    await page.engine.load();
+    page.app.loadAutomation(SWEEP);
+
+    await page.engine.play();
+
+    // The tick covers 70ms, none of it due yet
+    assert.deepEqual(queuedRevMix(page.engine), [[10, 1], [20, 2], [30, 3], [40, 4], [50, 5], [60, 6]]);
+    assert.deepEqual(revMixWrites(page.record), []);
+    assert.equal(page.app.getParameter('Rev_Mix'), 0);
+
+    // The device and the knob follow once the values are due
+    page.engine.audioContext.currentTime = 0.055;
+    page.engine.controlTick();
+    assert.deepEqual(revMixWrites(page.record), [1, 2, 3, 4, 5]);
+    assert.equal(page.app.getParameter('Rev_Mix'), 5);
+    assert.equal(page.document.getElementById('val-rev-mix').textContent, '5%');
+  });
+
+  it('queues the whole sweep at once while the tab is hidden', async () => {
+    page = await createPage();
+    Object.defineProperty(page.document, 'hidden', { value: true, configurable: true });
+    await page.engine.load();
+    page.app.loadAutomation(SWEEP);
+
+    await page.engine.play();
+
+    const queued = queuedRevMix(page.engine);
+    assert.equal(queued.length, 100);
+    assert.deepEqual(queued.pop(), [1000, 100]);
+  });
+
+  it('drops values still to come when playback stops', async () => {
+    page = await createPage();
+    await page.engine.load();
+    page.app.loadAutomation(SWEEP);
+    await page.engine.play();
+
+    page.engine.stop();
+    page.engine.audioContext.currentTime = 2;
+    page.engine.controlTick();
+
+    assert.equal(page.engine.paramQueue.length, 0);
+    assert.equal(page.app.getParameter('Rev_Mix'), 0);
+  });
+});
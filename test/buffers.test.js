@@ -0,0 +1,156 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createFakeBuffer } = require('./fixture');
+
+const BASE_URL = 'media/NassauMusic_1B.mp3';
+
+// 1× decodes to 80MB, so each factor up is 80MB × 2^(n-1)
+const largeDecode = async () => createFakeBuffer(10 * 1024 * 1024);
+
+describe('loadBuffers', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('loads 1× before playback and leaves the rest to the slider', async () => {
+    page = await createPage();
+    await page.engine.load();
+
+    assert.equal(page.engine.state, 'ready');
+    assert.deepEqual(page.record.dataBuffers, [['set', 'b_NassauMusic_1B_mp3']]);
+    assert.equal(page.record.requests[0], BASE_URL);
+    assert.equal(page.document.getElementById('powerBtn').disabled, false);
+  });
+
+  for (const [deviceMemory, max] of [[8, 5], [4, 4], [1, 2], [0.5, 1]]) {
+    it(`holds up to TimeStretch ${max} with ${deviceMemory}GB of device memory`, async () => {
+      page = await createPage({ deviceMemory, decode: largeDecode });
+      await page.engine.load();
+
+      assert.equal(page.engine.getAvailableStretch(), max);
+    });
+  }
+
+  it('assumes 4GB when the browser does not report device memory', async () => {
+    page = await createPage({ decode: largeDecode });
+    await page.engine.load();
+
+    assert.equal(page.engine.bufferBudget, 1024 * 1024 * 1024);
+    assert.equal(page.engine.getAvailableStretch(), 4);
+  });
+
+  it('stops below a factor whose decode took the last session down', async () => {
+    page = await createPage({ storage: { 'nassauShift.bufferLimit': JSON.stringify({ max: null, pending: 4 }) } });
+
+    assert.deepEqual({ ...page.engine.bufferLimit }, { max: 3, pending: null });
+    assert.equal(page.engine.getAvailableStretch(), 3);
+  });
+
+  it('fails the load on an HTTP 404 without retrying', async () => {
+    page = await createPage({ respond: () => ({ status: 404 }) });
+    const errors = [];
+    page.engine.on('error', e => errors.push(e));
+
+    await assert.rejects(page.engine.load(), /Could not load 1× \(HTTP 404\)/);
+    assert.deepEqual(page.record.requests, [BASE_URL]);
+    assert.equal(page.engine.state, 'idle');
+    assert.equal(page.engine.bufferStates.b_NassauMusic_1B_mp3, 'failed');
+    assert.deepEqual(errors.map(e => e.stage), ['buffer', 'load']);
+    assert.match(page.document.getElementById('statusText').textContent, /^Error: Could not load 1×/);
+    assert.equal(page.document.getElementById('loadBtn').disabled, false);
+  });
+
+  it('retries a 503 and carries on', async () => {
+    let attempts = 0;
+    page = await createPage({ respond: () => ({ status: attempts++ ? 200 : 503 }) });
+
+    await page.engine.load();
+
+    assert.deepEqual(page.record.requests, [BASE_URL, BASE_URL]);
+    assert.equal(page.engine.state, 'ready');
+  });
+
+  it('leaves no abort listener on the shared signal after a retry wait', async () => {
+    page = await createPage();
+    const signal = new page.window.AbortController().signal;
+    const listeners = new Set();
+    const add = signal.addEventListener.bind(signal);
+    const remove = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (type, listener, options) => { listeners.add(listener); add(type, listener, options); };
+    signal.removeEventListener = (type, listener) => { listeners.delete(listener); remove(type, listener); };
+
+    await page.engine.wait(1, signal);
+    await page.engine.wait(1, signal);
+
+    assert.equal(listeners.size, 0);
+  });
+
+  it('gives up on a decode that never finishes', async () => {
+    page = await createPage({ decode: () => new Promise(() => {}) });
+    page.engine.decodeTimeoutMs = 20;
+
+    await assert.rejects(page.engine.load(), /Decode timeout/);
+    assert.equal(page.engine.bufferErrors.b_NassauMusic_1B_mp3, 'Decode timeout - file too large');
+    assert.deepEqual({ ...page.engine.bufferLimit }, { max: 1, pending: null });
+    assert.equal(page.record.dataBuffers.length, 0);
+  });
+
+  it('decodes a file once for two engines loading it at the same time', async () => {
+    let decodes = 0;
+    page = await createPage({ decode: async () => { decodes++; return createFakeBuffer(1000); } });
+    const shared = { context: null, buffers: {} };
+    const first = new page.window.NassauEngine({ shared });
+    const second = new page.window.NassauEngine({ shared });
+
+    await Promise.all([first.load(), second.load()]);
+
+    assert.equal(decodes, 1);
+    assert.deepEqual(page.record.requests, [BASE_URL]);
+    assert.equal(first.audioBuffers.b_NassauMusic_1B_mp3, second.audioBuffers.b_NassauMusic_1B_mp3);
+    assert.equal(second.bufferInfo.b_NassauMusic_1B_mp3.source, 'shared');
+    assert.deepEqual(Object.keys(shared.loads), []);
+  });
+
+  it('reports a cancelled download as cancelled, not failed', async () => {
+    page = await createPage({ respond: () => 'hang' });
+
+    const load = page.engine.load();
+    setTimeout(() => page.engine.cancelLoading(), 10);
+
+    await assert.rejects(load, error => error.name === 'AbortError');
+    assert.equal(page.engine.bufferStates.b_NassauMusic_1B_mp3, 'cancelled');
+    assert.equal(page.document.getElementById('statusText').textContent, 'Loading cancelled');
+  });
+
+  it('refuses to render stretched slots from a source shorter than one grain', async () => {
+    page = await createPage({ decode: async () => createFakeBuffer(2048) });
+    await page.engine.load();
+
+    await page.app.fillAllSlots({ name: 'click.wav', arrayBuffer: async () => new ArrayBuffer(16) });
+
+    assert.match(page.document.getElementById('statusText').textContent, /^Error: Source too short to stretch \(2048 samples/);
+    assert.equal(page.engine.bufferInfo.b_NassauMusic_2B_mp3, undefined);
+  });
+
+  it('skips stretched slots that would go over the buffer budget', async () => {
+    // 10000 stereo frames: 1×, 2× and 4× come to 625536 bytes, 8× would add 672768
+    page = await createPage({ decode: async () => createFakeBuffer(10000) });
+    await page.engine.load();
+    page.engine.bufferBudget = 1000000;
+
+    await page.app.fillAllSlots({ name: 'loop.wav', arrayBuffer: async () => new ArrayBuffer(16) });
+
+    assert.equal(page.document.getElementById('statusText').textContent,
+      'loop.wav loaded into 3 of 5 slots - not enough memory for 8×, 16×');
+    assert.equal(page.engine.bufferInfo.b_NassauMusic_4B_mp3.origin, 'rendered');
+    assert.equal(page.engine.bufferInfo.b_NassauMusic_8B_mp3, undefined);
+    assert.ok(page.engine.getResidentBytes() <= page.engine.bufferBudget);
+
+    // Assigning one directly is refused as well
+    await assert.rejects(
+      page.engine.assignBuffer('b_NassauMusic_8B_mp3', createFakeBuffer(100000), 'big.wav', 'user'),
+      /^Error: Not enough memory for big.wav at 8×/
+    );
+    assert.equal(page.engine.userBuffers.b_NassauMusic_8B_mp3, undefined);
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createPage, waitFor } = require('./fixture');
+
+// Defines <nassau-shift> in the page and adds one, resolving to the element and its controller
+async function addElement(page) {
+  page.window.eval(fs.readFileSync(path.join(__dirname, '..', 'nassau-element.js'), 'utf8'));
+  const element = page.document.createElement('nassau-shift');
+  page.document.body.append(element);
+  const controller = await element.ready;
+  await waitFor(() => controller.engine.patcher || controller.container.classList.contains('incompatible'));
+  return { element, controller };
+}
+
+describe('<nassau-shift>', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('stops listening to the document once removed', async () => {
+    page = await createPage();
+    const { element, controller } = await addElement(page);
+    const moves = [];
+    controller.onKnobMove = event => moves.push(event);
+    const move = () => page.document.dispatchEvent(new page.window.MouseEvent('mousemove'));
+
+    move();
+    assert.equal(moves.length, 1);
+
+    element.remove();
+    await Promise.resolve();
+    move();
+
+    assert.equal(moves.length, 1);
+    assert.equal(element.controller, null);
+    assert.equal(controller.listenerController.signal.aborted, true);
+  });
+
+  it('keeps its controller when moved around the page', async () => {
+    page = await createPage();
+    const { element, controller } = await addElement(page);
+    const moves = [];
+    controller.onKnobMove = event => moves.push(event);
+
+    const wrapper = page.document.createElement('div');
+    page.document.body.append(wrapper);
+    wrapper.append(element);
+    await Promise.resolve();
+    page.document.dispatchEvent(new page.window.MouseEvent('mousemove'));
+
+    assert.equal(element.controller, controller);
+    assert.equal(moves.length, 1);
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Nassau Shift - Test fixture
+ * Loads index.html into jsdom with the page's own scripts, over fakes for the parts
+ * a browser would provide:
+ *
+ *   RNBO.createDevice  records every parameter write (set or scheduled) and setDataBuffer call
+ *   AudioContext       nodes that do nothing; decodeAudioData answers from options.decode
+ *   XMLHttpRequest     answers fetchWithProgress from options.respond(url)
+ *   fetch              serves the repo's JSON files (export, manifest)
+ *
+ * createPage(options) resolves once the NassauShift instance has read the export.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// ============================================
+// Audio
+// ============================================
+
+class FakeAudioParam {
+  constructor(value = 0) {
+    this.value = value;
+  }
+
+  setValueAtTime(value) { this.value = value; }
+  linearRampToValueAtTime(value) { this.value = value; }
+  setTargetAtTime(value) { this.value = value; }
+  setValueCurveAtTime(curve) {
+    this.curve = [...curve];
+    this.value = curve[curve.length - 1];
+  }
+  cancelScheduledValues() {}
+}
+
+class FakeAudioNode {
+  constructor(props = {}) {
+    this.gain = new FakeAudioParam(1);
+    this.frequency = new FakeAudioParam(0);
+    this.Q = new FakeAudioParam(0);
+    this.fftSize = 2048;
+    this.frequencyBinCount = 1024;
+    Object.assign(this, props);
+  }
+
+  connect(node) { return node; }
+  disconnect() {}
+  start(...args) { this.started = args; }
+  stop(time) { this.stopped = time; }
+  getByteFrequencyData() {}
+  getByteTimeDomainData() {}
+  getFloatFrequencyData() {}
+  getFloatTimeDomainData() {}
+}
+
+// Channel data is only allocated when read, so tests can decode "large" files
+function createFakeBuffer(length, numberOfChannels = 2, sampleRate = 44100) {
+  const channels = [];
+  return {
+    length,
+    numberOfChannels,
+    sampleRate,
+    duration: length / sampleRate,
+    getChannelData(i) {
+      if (!channels[i]) channels[i] = new Float32Array(length);
+      return channels[i];
+    },
+    copyToChannel(source, i) { this.getChannelData(i).set(source); },
+  };
+}
+
+function createAudioContextClass(options) {
+  return class FakeAudioContext {
+    constructor() {
+      this.state = 'running';
+      this.sampleRate = 44100;
+      this.currentTime = 0;
+      this.destination = new FakeAudioNode();
+      this.audioWorklet = { addModule: async () => {} };
+    }
+
+    resume() { return Promise.resolve(); }
+    suspend() { return Promise.resolve(); }
+    createGain() { return new FakeAudioNode(); }
+    createAnalyser() { return new FakeAudioNode(); }
+    createBiquadFilter() { return new FakeAudioNode(); }
+    createChannelSplitter() { return new FakeAudioNode(); }
+    createChannelMerger() { return new FakeAudioNode(); }
+    createConvolver() { return new FakeAudioNode(); }
+    createBufferSource() { return new FakeAudioNode(); }
+    createMediaStreamSource() { return new FakeAudioNode(); }
+    createMediaElementSource() { return new FakeAudioNode(); }
+    createMediaStreamDestination() { return new FakeAudioNode({ stream: {} }); }
+    createOscillator() { return new FakeAudioNode({ frequency: new FakeAudioParam(1) }); }
+    createDelay() { return new FakeAudioNode({ delayTime: new FakeAudioParam() }); }
+    createConstantSource() { return new FakeAudioNode({ offset: new FakeAudioParam() }); }
+
+    createDynamicsCompressor() {
+      return new FakeAudioNode({
+        threshold: new FakeAudioParam(),
+        ratio: new FakeAudioParam(),
+        knee: new FakeAudioParam(),
+        attack: new FakeAudioParam(),
+        release: new FakeAudioParam(),
+        reduction: 0,
+      });
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+      return createFakeBuffer(length, numberOfChannels, sampleRate);
+    }
+
+    decodeAudioData(arrayBuffer) {
+      return options.decode(arrayBuffer);
+    }
+  };
+}
+
+// ============================================
+// RNBO
+// ============================================
+
+// Parameter writes land in record.writes as [name, value], scheduled events in
+// record.messages, data buffer calls
+// in record.dataBuffers as ['set' | 'release', id] and the last buffer set for each id
+// in record.deviceBuffers. inports replaces the export's (none) when given.
+const EventType = { MessageEvent: 3 };
+
+function createFakeRNBO(record, inports) {
+  class FakeParameter {
+    constructor(desc) {
+      this.name = desc.name;
+      this.id = desc.paramId;
+      this.min = desc.minimum;
+      this.max = desc.maximum;
+      this.steps = desc.steps;
+      this.exponent = desc.exponent;
+      this.initialValue = desc.initialValue;
+      this.displayName = desc.displayName;
+      this.unit = desc.unit;
+      this.stored = desc.initialValue;
+    }
+
+    get value() {
+      return this.stored;
+    }
+
+    set value(value) {
+      this.stored = value;
+      record.writes.push([this.name, value]);
+    }
+  }
+
+  return {
+    version: '1.4.2',
+    TimeNow: 0,
+    MessageEvent: class {
+      constructor(time, tag, payload) {
+        Object.assign(this, { type: EventType.MessageEvent, time, tag, payload });
+      }
+    },
+    EventType,
+    createDevice: async ({ context, patcher }) => {
+      const parameters = patcher.desc.parameters.map(desc => new FakeParameter(desc));
+      return {
+        context,
+        node: new FakeAudioNode(),
+        parameters,
+        dataBufferDescriptions: patcher.desc.externalDataRefs,
+        inports: inports || patcher.desc.inports || [],
+        outports: patcher.desc.outports,
+        messageEvent: { subscribe() {} },
+        scheduleEvent: (event) => { record.messages.push(event); },
+        setDataBuffer: async (id, buffer) => {
+          record.dataBuffers.push(['set', id]);
+          record.deviceBuffers[id] = buffer;
+        },
+        releaseDataBuffer: async (id) => { record.dataBuffers.push(['release', id]); },
+      };
+    },
+  };
+}
+
+// ============================================
+// Network
+// ============================================
+
+// respond(url) returns { status, byteLength } (default 200) or 'hang'
+function createXHRClass(options, record) {
+  return class FakeXMLHttpRequest {
+    open(method, url) {
+      this.url = url;
+    }
+
+    send() {
+      record.requests.push(this.url);
+      const answer = options.respond(this.url) || {};
+      if (answer === 'hang') return;
+
+      setTimeout(() => {
+        this.status = answer.status || 200;
+        this.response = new ArrayBuffer(answer.byteLength || 16);
+        if (this.onprogress) this.onprogress({ lengthComputable: true, loaded: 16, total: 16 });
+        if (this.onload) this.onload();
+      }, 0);
+    }
+
+    abort() {
+      if (this.onabort) this.onabort();
+    }
+  };
+}
+
+function createFetch() {
+  return async (url) => {
+    const file = path.join(ROOT, new URL(String(url), 'http://localhost/').pathname);
+    if (!file.startsWith(ROOT) || !fs.existsSync(file)) {
+      return { ok: false, status: 404, json: async () => { throw new Error('Not found'); } };
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+  };
+}
+
+// ============================================
+// Page
+// ============================================
+
+function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      const value = check();
+      if (value) return resolve(value);
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out waiting for the page'));
+      setTimeout(poll, 5);
+    };
+    poll();
+  });
+}
+
+// Options (all optional):
+//   deviceMemory  navigator.deviceMemory in GB (undefined like Safari and Firefox)
+//   decode        (arrayBuffer) => Promise<AudioBuffer>, default a short stereo buffer
+//   respond       (url) => { status, byteLength } | 'hang' for each buffer download
+//   removeKnobs   knob ids to take out of the markup before the scripts run
+//   storage       { key: value } put in localStorage first
+//   inports       [{ tag }] for the device, e.g. the seek and loop inports
+async function createPage(options = {}) {
+  const settings = {
+    decode: async () => createFakeBuffer(1000),
+    respond: () => ({ status: 200 }),
+    ...options,
+  };
+  const record = { writes: [], dataBuffers: [], deviceBuffers: {}, messages: [], requests: [], logs: [] };
+
+  // Script tags are dropped - the same files are evaluated below, in order
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const scripts = [...html.matchAll(/<script[^>]*src="([^"]+)"/g)]
+    .map(match => match[1])
+    .filter(src => !/^https?:/.test(src));
+  const dom = new JSDOM(html.replace(/<script[^>]*src="[^"]*"[^>]*><\/script>/g, ''), {
+    url: 'http://localhost/',
+    pretendToBeVisual: true,
+    runScripts: 'outside-only',
+  });
+  const window = dom.window;
+
+  ['log', 'info', 'warn', 'error', 'table'].forEach((level) => {
+    window.console[level] = (...args) => record.logs.push([level, args]);
+  });
+
+  (settings.removeKnobs || []).forEach(id => window.document.getElementById(id).remove());
+  Object.entries(settings.storage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  if (settings.deviceMemory !== undefined) {
+    Object.defineProperty(window.navigator, 'deviceMemory', { value: settings.deviceMemory });
+  }
+
+  window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, {
+    get: (target, key) => {
+      if (key in target) return target[key];
+      if (key === 'createLinearGradient' || key === 'createRadialGradient') return () => ({ addColorStop() {} });
+      if (key === 'getImageData') return () => ({ data: new Uint8ClampedArray(4) });
+      if (key === 'measureText') return () => ({ width: 10 });
+      return () => {};
+    },
+    set: (target, key, value) => { target[key] = value; return true; },
+  });
+  window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+  window.requestAnimationFrame = () => 0;
+  window.cancelAnimationFrame = () => {};
+  window.AudioContext = createAudioContextClass(settings);
+  window.AudioWorkletNode = class extends FakeAudioNode {
+    constructor() {
+      super({ port: { postMessage() {}, onmessage: null } });
+    }
+  };
+  window.RNBO = createFakeRNBO(record, settings.inports);
+  window.XMLHttpRequest = createXHRClass(settings, record);
+  window.fetch = createFetch();
+
+  // Classic scripts share one global scope, so they're evaluated together
+  const source = scripts.map(src => fs.readFileSync(path.join(ROOT, src), 'utf8')).join('\n;\n');
+  window.eval(`${source}\n;window.NassauEngine = NassauEngine; window.NassauShift = NassauShift;`);
+
+  // app.js builds the instance on DOMContentLoaded; init reads the export
+  const app = await waitFor(() => window.nassauShift);
+  await waitFor(() => app.engine.patcher || app.container.classList.contains('incompatible'));
+
+  return {
+    window,
+    document: window.document,
+    app,
+    engine: app.engine,
+    record,
+    close: () => window.close(),
+  };
+}
+
+module.exports = { createPage, createFakeBuffer, waitFor };
@@ -0,0 +1,43 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./fixture');
+
+describe('Live input', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('pauses the audio file player when the microphone replaces it', async () => {
+    page = await createPage();
+    page.window.MediaStream = class { getTracks() { return []; } };
+    const player = page.document.getElementById('inputAudio');
+    let pauses = 0;
+    player.pause = () => { pauses++; };
+
+    await page.engine.setInput(player);
+    assert.equal(page.engine.liveInput.kind, 'element');
+    pauses = 0;
+
+    await page.engine.setInput(new page.window.MediaStream(), { kind: 'microphone', ownsStream: true });
+
+    assert.ok(pauses > 0);
+    assert.equal(page.engine.liveInput.kind, 'microphone');
+    assert.equal(page.engine.liveInput.element, null);
+    assert.equal(player.hidden, true);
+    assert.equal(page.document.getElementById('statusText').textContent, 'Live input: microphone');
+  });
+
+  it('pauses the audio file player when the input is closed', async () => {
+    page = await createPage();
+    const player = page.document.getElementById('inputAudio');
+    let pauses = 0;
+    player.pause = () => { pauses++; };
+
+    await page.engine.setInput(player);
+    pauses = 0;
+    page.engine.closeInput();
+
+    assert.ok(pauses > 0);
+    assert.equal(page.engine.liveInput, null);
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./fixture');
+
+// Writes to the named parameters since index, in order
+function writesSince(record, index, names) {
+  return record.writes.slice(index).filter(([name]) => names.includes(name));
+}
+
+describe('setParameter', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('sends HPF resonance before its cutoff', async () => {
+    page = await createPage();
+    await page.engine.load();
+    const index = page.record.writes.length;
+
+    page.app.setParameter('HPF_Cutoff', 500);
+
+    assert.deepEqual(writesSince(page.record, index, ['HPF_Res', 'HPF_Cutoff']), [
+      ['HPF_Res', 0],
+      ['HPF_Cutoff', 500],
+    ]);
+  });
+
+  it('sends LPF cutoff before its resonance', async () => {
+    page = await createPage();
+    await page.engine.load();
+    const index = page.record.writes.length;
+
+    page.app.setParameter('LPF_Res', 0.5);
+
+    // LPF_Res has 1000 steps, so 0.5 lands on 500/999
+    assert.deepEqual(writesSince(page.record, index, ['LPF_Cutoff', 'LPF_Res']), [
+      ['LPF_Cutoff', 4000],
+      ['LPF_Res', 500 / 999],
+    ]);
+  });
+
+  it('keeps the pair ordered while ramping during playback', async () => {
+    page = await createPage();
+    await page.engine.load();
+    await page.engine.play();
+    const index = page.record.writes.length;
+
+    page.app.setParameter('HPF_Res', 0.8);
+    page.app.setParameter('HPF_Cutoff', 1000);
+    page.engine.audioContext.currentTime += 1;
+    page.engine.controlTick();
+
+    assert.deepEqual(writesSince(page.record, index, ['HPF_Res', 'HPF_Cutoff']).slice(-2), [
+      ['HPF_Res', 0.8],
+      ['HPF_Cutoff', 1000],
+    ]);
+  });
+
+  it('writes a ramp to the device at control rate as it falls due', async () => {
+    page = await createPage();
+    await page.engine.load();
+    await page.engine.play();
+    const start = page.engine.audioContext.currentTime = 2;
+    const index = page.record.writes.length;
+
+    // Room_Size ramps over 120ms in 12 control-rate steps, none due yet
+    page.app.setParameter('Room_Size', 80);
+    const sent = () => writesSince(page.record, index, ['Room_Size']);
+    assert.equal(sent().length, 0);
+    assert.equal(page.engine.paramQueue.length, 12);
+
+    page.engine.audioContext.currentTime = start + 0.055;
+    page.engine.controlTick();
+    assert.equal(sent().length, 5);
+
+    // The clock runs off the audio graph, which hidden tabs don't throttle
+    const clock = page.engine.controlTimer;
+    assert.equal(typeof clock.onended, 'function');
+    page.engine.audioContext.currentTime = start + 0.2;
+    clock.onended();
+    assert.equal(sent().length, 12);
+    assert.deepEqual(sent().pop(), ['Room_Size', 80]);
+    assert.equal(page.engine.paramQueue.length, 0);
+  });
+
+  it('ramps a new value on from where the last one had got to', async () => {
+    page = await createPage();
+    await page.engine.load();
+    await page.engine.play();
+    page.engine.audioContext.currentTime = 2;
+    const index = page.record.writes.length;
+
+    page.app.setParameter('Room_Size', 80);
+    page.engine.audioContext.currentTime = 2.055;
+    page.engine.controlTick();
+    page.app.setParameter('Room_Size', 20);
+    page.engine.audioContext.currentTime = 3;
+    page.engine.controlTick();
+
+    // 5 steps had gone out for 80; the rest were dropped and 20 ramps down from there
+    const values = writesSince(page.record, index, ['Room_Size']).map(([, value]) => value);
+    assert.equal(values.length, 5 + 12);
+    assert.ok(values.every((value, i) => !i || (i < 5 ? value > values[i - 1] : value < values[i - 1])));
+    assert.equal(values.pop(), 20);
+  });
+
+  it('clamps values to the export range', async () => {
+    page = await createPage();
+
+    page.app.setParameter('Rev_Mix', 250);
+    page.app.setParameter('HPF_Cutoff', -10);
+
+    assert.equal(page.app.getParameter('Rev_Mix'), 100);
+    assert.equal(page.app.getParameter('HPF_Cutoff'), 0);
+  });
+
+  it('snaps values onto the export\'s steps', async () => {
+    page = await createPage();
+
+    page.app.setParameter('Room_Size', 40.4);
+    page.app.setParameter('HPF_Res', 0.1234);
+    page.app.setParameter('On_Off', 0.2);
+
+    assert.equal(page.app.getParameter('Room_Size'), 40);
+    assert.equal(page.app.getParameter('HPF_Res'), 0.123);
+    assert.equal(page.app.getParameter('On_Off'), 1);
+  });
+
+  it('falls back to the export value for a missing knob', async () => {
+    page = await createPage({ removeKnobs: ['knob-hpf-res'] });
+    await page.engine.load();
+    const index = page.record.writes.length;
+
+    page.app.setParameter('HPF_Cutoff', 300);
+
+    assert.equal(page.app.findKnobByParam('HPF_Res'), null);
+    assert.deepEqual(writesSince(page.record, index, ['HPF_Res', 'HPF_Cutoff']), [
+      ['HPF_Res', 0],
+      ['HPF_Cutoff', 300],
+    ]);
+  });
+
+  it('moves the knob for a value set through the engine', async () => {
+    page = await createPage();
+
+    page.engine.setParam('Room_Size', 40);
+
+    assert.equal(page.document.getElementById('val-room-size').textContent, '40%');
+  });
+});
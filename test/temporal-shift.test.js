@@ -0,0 +1,109 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createFakeBuffer, waitFor } = require('./fixture');
+
+describe('Temporal Shift slider', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('maps positions onto the nearest whole stretch factor', async () => {
+    page = await createPage();
+    const expected = [[0, 1], [0.1, 1], [0.2, 2], [0.5, 3], [0.7, 4], [0.9, 5], [1, 5]];
+
+    for (const [position, stretch] of expected) {
+      page.app.setTemporalShift(position);
+      assert.equal(page.app.getParameter('TimeStretch'), stretch, `position ${position}`);
+    }
+  });
+
+  it('labels each step with its dilation factor', async () => {
+    page = await createPage();
+    const labels = [...page.document.querySelectorAll('.slider-labels span')].map(span => span.textContent);
+
+    assert.deepEqual(labels, ['1×', '2×', '4×', '8×', '16×']);
+    page.app.setTemporalShift(0.75);
+    assert.equal(page.document.getElementById('sliderValue').textContent, '8×');
+    assert.equal(page.document.getElementById('sliderTrack').getAttribute('aria-valuenow'), '4');
+  });
+
+  it('steps one factor per arrow key', async () => {
+    page = await createPage();
+    const track = page.document.getElementById('sliderTrack');
+    const press = key => track.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true }));
+
+    press('ArrowRight');
+    press('ArrowRight');
+    assert.equal(page.app.getParameter('TimeStretch'), 3);
+    press('End');
+    assert.equal(page.app.getParameter('TimeStretch'), 5);
+    press('ArrowLeft');
+    assert.equal(page.app.getParameter('TimeStretch'), 4);
+  });
+
+  it('sends the factor once its buffer has loaded', async () => {
+    page = await createPage();
+    await page.engine.load();
+
+    page.app.setTemporalShift(0.25);
+    assert.equal(page.app.getParameter('TimeStretch'), 2);
+    await page.engine.loadStretch(2);
+
+    assert.ok(page.record.dataBuffers.some(([op, id]) => op === 'set' && id === 'b_NassauMusic_2B_mp3'));
+    assert.deepEqual(page.record.writes.filter(([name]) => name === 'TimeStretch').pop(), ['TimeStretch', 2]);
+  });
+
+  it('reads a transition saved as a fade or a dip as a crossfade', async () => {
+    for (const mode of ['fade', 'dip']) {
+      page = await createPage({ storage: { 'nassauShift.transition': JSON.stringify({ mode, fadeMs: 400 }) } });
+
+      assert.equal(page.engine.transition.mode, 'crossfade');
+      assert.equal(page.document.getElementById('transitionMode').value, 'crossfade');
+      assert.equal(page.document.getElementById('transitionFade').disabled, false);
+      page.close();
+    }
+  });
+
+  it('crossfades the factor going out into the one coming in at equal power', async () => {
+    page = await createPage({ decode: async () => createFakeBuffer(44100 * 4) });
+    await page.engine.load();
+    await page.engine.play();
+    page.engine.setTransition({ mode: 'crossfade', fadeMs: 400 });
+    await page.engine.loadStretch(2);
+    page.engine.audioContext.currentTime = 0.5;
+
+    page.engine.setTimeStretch(2);
+    await waitFor(() => page.engine.soundingStretch === 2);
+
+    // The device is on the new factor straight away and fades in
+    assert.deepEqual(page.record.writes.filter(([name]) => name === 'TimeStretch').pop(), ['TimeStretch', 2]);
+    const fadeIn = page.engine.deviceGain.gain.curve;
+
+    // 1× goes on from where it was, and out over the same time
+    const tail = page.engine.stretchTail;
+    assert.equal(tail.source.buffer, page.engine.audioBuffers.b_NassauMusic_1B_mp3);
+    assert.deepEqual([...tail.source.started], [0.5, 0.5]);
+    assert.equal(tail.source.stopped, 0.9);
+    const fadeOut = tail.gain.gain.curve;
+
+    assert.deepEqual([fadeIn[0], fadeIn[fadeIn.length - 1], fadeOut[0]], [0, 1, 1]);
+    assert.ok(Math.abs(fadeOut[fadeOut.length - 1]) < 1e-6);
+    assert.ok(fadeIn.every((value, i) => Math.abs(value * value + fadeOut[i] * fadeOut[i] - 1) < 1e-6));
+
+    // Stopping midway takes the tail out too
+    page.engine.stop();
+    assert.equal(page.engine.stretchTail, null);
+    assert.ok(Math.abs(tail.source.stopped - 0.52) < 1e-9);
+  });
+
+  it('shortens the slider when memory only holds the lower factors', async () => {
+    // 1× decodes to 80MB: with a 1GB device (256MB budget) 2× and 1× fit, 4× doesn't
+    page = await createPage({ deviceMemory: 1, decode: async () => createFakeBuffer(10 * 1024 * 1024) });
+    await page.engine.load();
+
+    assert.equal(page.engine.getAvailableStretch(), 2);
+    assert.equal(page.document.querySelectorAll('.slider-labels span').length, 2);
+    page.app.setTemporalShift(1);
+    assert.equal(page.app.getParameter('TimeStretch'), 2);
+  });
+});
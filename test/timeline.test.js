@@ -0,0 +1,167 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createFakeBuffer, waitFor } = require('./fixture');
+
+const BASE_ID = 'b_NassauMusic_1B_mp3';
+
+// Frames whose samples count up from 0, so a moved copy shows where it starts
+function createCountingBuffer(length) {
+  const buffer = createFakeBuffer(length, 1);
+  buffer.getChannelData(0).forEach((_, i, data) => { data[i] = i; });
+  return buffer;
+}
+
+async function countingDecode() {
+  return createCountingBuffer(1000);
+}
+
+function onOffWrites(record, index) {
+  return record.writes.slice(index).filter(([name]) => name === 'On_Off');
+}
+
+describe('Timeline seek and loop', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('cannot seek or loop before the device is loaded', async () => {
+    page = await createPage();
+
+    assert.equal(page.engine.canSeek(), false);
+    assert.equal(page.engine.seek(0.5), false);
+    assert.equal(page.engine.setLoop(0.2, 0.4), false);
+  });
+
+  it('sends seek and loop to the patcher inports', async () => {
+    page = await createPage({ inports: [{ tag: 'seek' }, { tag: 'loop' }] });
+    await page.engine.load();
+    await page.engine.play();
+    const sets = page.record.dataBuffers.length;
+
+    assert.equal(page.engine.seek(0.25), true);
+    page.engine.setLoop(0.75, 0.5);
+    page.engine.setLoop(null);
+
+    assert.deepEqual(page.record.messages.map(({ tag, payload }) => [tag, [...payload]]), [
+      ['seek', [0.25]],
+      ['loop', [0.5, 0.75]],
+      ['loop', []],
+    ]);
+    assert.equal(page.engine.getPlayhead().fraction, 0.25);
+    assert.equal(page.record.dataBuffers.length, sets);
+  });
+
+  it('seeks host-side by handing the device its buffer from the seek point', async () => {
+    page = await createPage({ decode: countingDecode });
+    await page.engine.load();
+    await page.engine.play();
+    const index = page.record.writes.length;
+
+    assert.equal(page.engine.seek(0.25), true);
+    await page.engine.bufferViewUpdate;
+
+    const moved = page.record.deviceBuffers[BASE_ID].getChannelData(0);
+    assert.deepEqual([moved.length, moved[0], moved[749], moved[750], moved[999]], [1000, 250, 999, 0, 249]);
+    assert.equal(page.engine.audioBuffers[BASE_ID].getChannelData(0)[0], 0);
+    assert.equal(page.engine.getPlayhead().fraction, 0.25);
+    assert.equal(page.record.messages.length, 0);
+
+    // Back on a control step later
+    page.engine.audioContext.currentTime += page.engine.controlRateMs / 1000;
+    page.engine.controlTick();
+    assert.deepEqual(onOffWrites(page.record, index), [['On_Off', 0], ['On_Off', 1]]);
+  });
+
+  it('plays on from the seek point', async () => {
+    page = await createPage({ decode: async () => createCountingBuffer(44100) });
+    await page.engine.load();
+    await page.engine.play();
+    const context = page.engine.audioContext;
+
+    page.engine.seek(0.25);
+    await page.engine.bufferViewUpdate;
+    context.currentTime += page.engine.controlRateMs / 1000;
+    page.engine.controlTick();
+    const restarted = context.currentTime;
+    context.currentTime += 0.5;
+
+    // The device reads its copy from the top since it came back on; the samples count
+    // source frames, so the one it has reached is where playback really is
+    const copy = page.record.deviceBuffers[BASE_ID].getChannelData(0);
+    const reached = copy[Math.round((context.currentTime - restarted) * 44100)];
+    assert.equal(reached, 0.75 * 44100);
+
+    const playhead = page.engine.getPlayhead();
+    assert.ok(Math.abs(playhead.frame - reached) <= 1);
+    assert.ok(Math.abs(playhead.fraction - 0.75) < 1e-4);
+  });
+
+  it('copies only the buffer playing, and moves the copy when the stretch changes', async () => {
+    // 2× is twice as long as 1×
+    page = await createPage({
+      respond: url => ({ status: 200, byteLength: url.includes('_2B') ? 2000 : 1000 }),
+      decode: async arrayBuffer => createCountingBuffer(arrayBuffer.byteLength),
+    });
+    await page.engine.load();
+    await page.engine.play();
+    const stretchId = page.engine.getBufferForStretch(2);
+    page.engine.setTimeStretch(2, true);
+    await waitFor(() => page.engine.soundingStretch === 2);
+    const sets = page.record.dataBuffers.length;
+
+    page.engine.seek(0.25);
+    await page.engine.bufferViewUpdate;
+    assert.deepEqual(page.record.dataBuffers.slice(sets).map(([, id]) => id), [stretchId]);
+    assert.equal(page.record.deviceBuffers[stretchId].getChannelData(0)[0], 500);
+    assert.equal(page.record.deviceBuffers[BASE_ID], page.engine.audioBuffers[BASE_ID]);
+
+    page.engine.setTimeStretch(1, true);
+    await page.engine.bufferViewUpdate;
+
+    // 2× has its own data back and 1× plays on from the same point
+    assert.equal(page.record.deviceBuffers[stretchId], page.engine.audioBuffers[stretchId]);
+    assert.equal(page.record.deviceBuffers[BASE_ID].getChannelData(0)[0], 250);
+    assert.equal(page.engine.viewBufferId, BASE_ID);
+  });
+
+  it('refuses a host-side seek that would go over the buffer budget', async () => {
+    page = await createPage({ decode: countingDecode });
+    await page.engine.load();
+    await page.engine.play();
+    page.engine.bufferBudget = page.engine.getResidentBytes() + 1000;
+    const sets = page.record.dataBuffers.length;
+
+    assert.equal(page.engine.seek(0.5), false);
+
+    assert.equal(page.record.dataBuffers.length, sets);
+    assert.equal(page.engine.bufferView, null);
+    assert.equal(page.engine.getPlayhead().fraction, 0);
+    assert.match(page.document.getElementById('statusText').textContent, /^Error: Not enough memory/);
+
+    // A loop region small enough still fits
+    assert.equal(page.engine.setLoop(0, 0.2), true);
+  });
+
+  it('loops host-side by handing the device only the loop region', async () => {
+    page = await createPage({ decode: countingDecode });
+    await page.engine.load();
+    await page.engine.play();
+
+    page.engine.setLoop(0.5, 0.75);
+    await page.engine.bufferViewUpdate;
+
+    const looped = page.record.deviceBuffers[BASE_ID].getChannelData(0);
+    assert.deepEqual([looped.length, looped[0], looped[249]], [250, 500, 749]);
+    assert.deepEqual({ ...page.engine.loopRegion }, { start: 0.5, end: 0.75 });
+    assert.equal(page.engine.getPlayhead().fraction, 0.5);
+
+    // A seek stays inside the loop
+    page.engine.seek(0.6);
+    await page.engine.bufferViewUpdate;
+    assert.equal(page.record.deviceBuffers[BASE_ID].getChannelData(0)[0], 600);
+
+    page.engine.setLoop(null);
+    await page.engine.bufferViewUpdate;
+    assert.equal(page.record.deviceBuffers[BASE_ID].getChannelData(0).length, 1000);
+  });
+});
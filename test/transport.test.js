@@ -0,0 +1,66 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, waitFor } = require('./fixture');
+
+describe('On_Off sequencing', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('does nothing before the device is loaded', async () => {
+    page = await createPage();
+
+    await page.engine.play();
+
+    assert.equal(page.engine.isPlaying, false);
+    assert.equal(page.record.writes.length, 0);
+    assert.equal(page.document.getElementById('powerBtn').disabled, true);
+  });
+
+  it('lands every parameter, in delivery order, before turning on', async () => {
+    page = await createPage();
+    await page.engine.load();
+    page.app.setParameter('HPF_Res', 0.3);
+    page.app.setParameter('LPF_Res', 0.5);
+    const index = page.record.writes.length;
+
+    await page.engine.play();
+
+    const batch = page.record.writes.slice(index);
+    const names = batch.map(([name]) => name);
+    assert.deepEqual(batch[batch.length - 1], ['On_Off', 1]);
+    assert.equal(names.filter(name => name === 'On_Off').length, 1);
+    assert.ok(names.indexOf('HPF_Res') < names.indexOf('HPF_Cutoff'));
+    assert.ok(names.indexOf('HPF_Cutoff') < names.indexOf('LPF_Cutoff'));
+    assert.ok(names.indexOf('LPF_Cutoff') < names.indexOf('LPF_Res'));
+    assert.deepEqual(batch.find(([name]) => name === 'LPF_Res'), ['LPF_Res', 500 / 999]);
+  });
+
+  it('turns off on stop and ignores a second stop', async () => {
+    page = await createPage();
+    await page.engine.load();
+    await page.engine.play();
+    const index = page.record.writes.length;
+
+    page.engine.stop();
+    page.engine.stop();
+
+    assert.deepEqual(page.record.writes.slice(index), [['On_Off', 0]]);
+    assert.equal(page.engine.state, 'stopped');
+    assert.equal(page.document.getElementById('statusText').textContent, 'Stopped');
+  });
+
+  it('toggles from the power button', async () => {
+    page = await createPage();
+    await page.engine.load();
+    const power = page.document.getElementById('powerBtn');
+
+    power.click();
+    await waitFor(() => page.engine.isPlaying);
+    assert.ok(power.classList.contains('active'));
+
+    power.click();
+    await waitFor(() => !page.engine.isPlaying);
+    assert.deepEqual(page.record.writes.filter(([name]) => name === 'On_Off'), [['On_Off', 0], ['On_Off', 1], ['On_Off', 0]]);
+  });
+});